@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+import { createGitHubClient } from '../lib/github.js'
+import { repoCommand } from '../lib/repo.js'
+import { teamCommand } from '../lib/team.js'
+import { userCommand } from '../lib/user.js'
+
+const commands = {
+  repo: {
+    run: repoCommand,
+    description: 'Maintainer responsiveness to the PRs and issues of one or more repositories'
+  },
+  user: {
+    run: userCommand,
+    description: "A GitHub user's PRs, reviews, issues and commits over a period"
+  },
+  team: {
+    run: teamCommand,
+    description: 'The combined activity of every member of a GitHub team over a period'
+  }
+}
+
+const usage = `Usage: repo-health <command> [options]
+
+Commands:
+${Object.entries(commands)
+  .map(([name, { description }]) => `  ${name.padEnd(27)}${description}`)
+  .join('\n')}
+
+Run a command without options for its usage. A GitHub token is required in the GITHUB_TOKEN
+environment variable.`
+
+async function main () {
+  const [name, ...args] = process.argv.slice(2)
+  const command = commands[name]
+  if (!command) {
+    throw new Error(name && name !== '--help' ? `Unknown command: ${name}\n\n${usage}` : usage)
+  }
+
+  // Set this with an env var, or put directly in here
+  const GITHUB_TOKEN = process.env.GITHUB_TOKEN
+  if (!GITHUB_TOKEN) {
+    throw new Error(
+      'GITHUB_TOKEN environment variable is required, make a classic one at https://github.com/settings/tokens'
+    )
+  }
+  const github = createGitHubClient({ token: GITHUB_TOKEN, userAgent: 'repo-health-metrics' })
+
+  await command.run(args, { github })
+
+  console.error(github.rateLimitSummary())
+}
+
+main().catch((error) => {
+  console.log(error)
+  process.exit(1)
+})
@@ -0,0 +1,81 @@
+import { summarizeResponseTimes } from './statistics.js'
+
+// Areas of a codebase, from CODEOWNERS or a mapping of area names to paths
+
+// Where GitHub looks for a CODEOWNERS file, in order of precedence
+export const codeownersPaths = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS']
+
+// Area of the PRs that only change files nobody owns
+export const unownedArea = '(unowned)'
+
+// Regular expression for a CODEOWNERS (gitignore style) pattern
+function patternRegExp (pattern) {
+  // A slash other than at the end anchors it to the root
+  const anchored = pattern.replace(/\/$/, '').includes('/')
+  // docs/* only matches the files directly in docs, docs/ matches everything under it
+  const filesOnly = /(^|\/)\*$/.test(pattern)
+  const body = pattern
+    .replace(/^\//, '')
+    .replace(/\/$/, '')
+    .replace(/\*\*\/|\*\*|\*|\?|[.+^${}()|[\]\\]/g, (token) =>
+      ({ '**/': '(?:.*/)?', '**': '.*', '*': '[^/]*', '?': '[^/]' })[token] ?? `\\${token}`
+    )
+  return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${body}${filesOnly ? '' : '(?:/.*)?'}$`)
+}
+
+// Parse the rules of a CODEOWNERS file, [{ pattern, regExp, owners }] in file order
+export function parseCodeowners (text) {
+  return text
+    .split('\n')
+    .map((line) => line.replace(/(^|\s)#.*$/, '').trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [pattern, ...owners] = line.split(/\s+/)
+      return { pattern, regExp: patternRegExp(pattern), owners }
+    })
+}
+
+// Rules from a mapping such as { "Consensus": ["/chain/", "/node/impl/full/"] }
+export function parseAreaMapping (mapping) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error('An area mapping must be an object of area names to arrays of paths')
+  }
+  return Object.entries(mapping).flatMap(([area, patterns]) => {
+    if (!Array.isArray(patterns)) {
+      throw new Error(`Paths for area "${area}" must be an array`)
+    }
+    return patterns.map((pattern) => ({ pattern, regExp: patternRegExp(pattern), owners: [area] }))
+  })
+}
+
+// Owners of a file, from the last rule matching its path
+export function ownersOf (path, rules) {
+  for (let i = rules.length - 1; i >= 0; i--) {
+    if (rules[i].regExp.test(path)) {
+      return rules[i].owners
+    }
+  }
+  return []
+}
+
+// Areas of a PR from the paths of the files it changes, or unownedArea if none are owned
+export function areasOf (paths, rules) {
+  const areas = new Set(paths.flatMap((path) => ownersOf(path, rules)))
+  return areas.size ? [...areas].sort() : [unownedArea]
+}
+
+// Response and resolution summaries for each area, busiest first with unowned PRs last
+export function calculateAreaBreakdown (responseTimes) {
+  const areas = [...new Set(responseTimes.flatMap((rt) => rt.areas || []))]
+  return areas
+    .map((area) => ({
+      area,
+      ...summarizeResponseTimes(responseTimes.filter((rt) => rt.areas.includes(area)))
+    }))
+    .sort(
+      (a, b) =>
+        (a.area === unownedArea) - (b.area === unownedArea) ||
+        b.total - a.total ||
+        a.area.localeCompare(b.area)
+    )
+}
@@ -0,0 +1,60 @@
+import { defaultCacheDir, parseDuration } from './cache.js'
+
+// Command-line argument handling shared by the commands
+
+// Options every command takes to control the cache
+const cacheFlags = ['--refresh', '--offline', '--no-cache']
+const cacheValueOptions = ['--cache-dir', '--cache-ttl']
+
+export const cacheUsage = `Caching:
+  --cache-dir <dir>          Where fetched data is cached (default: ${defaultCacheDir})
+  --cache-ttl <duration>     How long cached data is used before checking for updates, e.g. 30m,
+                             6h or 2d (default: 1h)
+  --refresh                  Ignore cached data and fetch everything again
+  --offline                  Only use cached data, never fetch
+  --no-cache                 Neither read nor write the cache`
+
+// Parse command-line arguments into camelCased options, positionals and cacheOptions
+export function parseOptions (args, { valueOptions = [], repeatable = [], flags = [] } = {}) {
+  const options = {}
+  const positionals = []
+  let cacheMode = 'normal'
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+    const name = arg.slice(2).replace(/-(\w)/g, (_, c) => c.toUpperCase())
+    if (cacheFlags.includes(arg)) {
+      if (cacheMode !== 'normal') {
+        throw new Error('Only one of --refresh, --offline and --no-cache can be used')
+      }
+      cacheMode = arg === '--no-cache' ? 'off' : arg.slice(2)
+    } else if (flags.includes(arg)) {
+      options[name] = true
+    } else if (
+      valueOptions.includes(arg) ||
+      repeatable.includes(arg) ||
+      cacheValueOptions.includes(arg)
+    ) {
+      if (i + 1 >= args.length || args[i + 1].startsWith('--')) {
+        throw new Error(`Missing value for ${arg}`)
+      }
+      if (repeatable.includes(arg)) {
+        options[name] = (options[name] || []).concat(args[++i])
+      } else {
+        options[name] = args[++i]
+      }
+    } else if (!arg.startsWith('--')) {
+      positionals.push(arg)
+    } else {
+      throw new Error(`Invalid argument: ${arg}`)
+    }
+  }
+
+  const cacheOptions = {
+    mode: cacheMode,
+    dir: options.cacheDir || undefined,
+    ttl: options.cacheTtl ? parseDuration(options.cacheTtl) : undefined
+  }
+
+  return { options, positionals, cacheOptions }
+}
@@ -0,0 +1,52 @@
+// Bot accounts, detected by GitHub's Bot actor type, a [bot] suffix or an ignore list
+
+export const botUsage = `Bots:
+  --bots <logins>            Comma-separated accounts to treat as bots, as well as GitHub Apps
+                             and accounts ending in [bot]
+  --include-bots             Include bots' PRs, issues, comments and reviews, which are excluded
+                             by default`
+
+// Parse the --bots ignore list, which may be comma-separated and/or an array from a config file
+export function parseBotList (value) {
+  return (Array.isArray(value) ? value : String(value || '').split(','))
+    .map((login) => login.trim().replace(/^@/, ''))
+    .filter(Boolean)
+}
+
+// Create a function telling whether an actor or login is a bot, with extra logins to ignore
+export function createBotDetector (ignore = []) {
+  const ignored = new Set(ignore.map((login) => login.toLowerCase()))
+  return (actor) => {
+    if (!actor) {
+      return false
+    }
+    const login = typeof actor === 'string' ? actor : actor.login
+    return (
+      actor.__typename === 'Bot' ||
+      /\[bot\]$/i.test(login || '') ||
+      ignored.has((login || '').toLowerCase())
+    )
+  }
+}
+
+// Bots with no ignore list
+export const isBot = createBotDetector()
+
+// Timeline events that are kept even when made by bots, such as a stale bot closing a PR
+const resolvingEvents = ['ClosedEvent', 'MergedEvent']
+
+// A copy of a PR or issue without the comments, reviews and other events of bots
+export function withoutBotEvents (item, isBotActor = isBot) {
+  const copy = { ...item }
+  for (const name of ['comments', 'reviews', 'timelineItems']) {
+    if (item[name]) {
+      copy[name] = {
+        ...item[name],
+        nodes: item[name].nodes.filter(
+          (node) => resolvingEvents.includes(node.__typename) || !isBotActor(node.author || node.actor)
+        )
+      }
+    }
+  }
+  return copy
+}
@@ -0,0 +1,83 @@
+import { createHash } from 'node:crypto'
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises'
+import { homedir } from 'node:os'
+import { join } from 'node:path'
+
+// On-disk cache of data fetched from GitHub, one JSON file per hash of the key parts
+
+export const defaultCacheDir = join(
+  process.env.XDG_CACHE_HOME || join(homedir(), '.cache'),
+  'repo-health-metrics'
+)
+
+// 1 hour
+export const defaultCacheTtl = 60 * 60 * 1000
+
+// Cache modes: normal within the TTL, refresh refetches, offline never fetches, off skips it
+export const cacheModes = ['normal', 'refresh', 'offline', 'off']
+
+// Parse a duration such as 90s, 30m, 6h or 2d into milliseconds
+export function parseDuration (str) {
+  const match = String(str).match(/^(\d+)([smhd])$/)
+  if (!match) {
+    throw new Error(`Invalid duration: ${str}, use a number followed by s, m, h or d such as 30m`)
+  }
+  const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }
+  return parseInt(match[1], 10) * units[match[2]]
+}
+
+export function createCache ({ dir = defaultCacheDir, ttl = defaultCacheTtl, mode = 'normal' } = {}) {
+  if (!cacheModes.includes(mode)) {
+    throw new Error(`Invalid cache mode: ${mode}`)
+  }
+
+  const entryPath = (keyParts) =>
+    join(dir, createHash('sha256').update(JSON.stringify(keyParts)).digest('hex') + '.json')
+
+  // Whether something stored at the given time is still within the TTL
+  const isFresh = (storedAt) => Date.now() - new Date(storedAt).getTime() < ttl
+
+  // Read a stored entry, { storedAt, value }, or null if there isn't one or the cache is off
+  async function read (keyParts) {
+    if (mode === 'off') {
+      return null
+    }
+    try {
+      return JSON.parse(await readFile(entryPath(keyParts), 'utf8'))
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null
+      }
+      throw new Error(`Failed to read cache entry ${entryPath(keyParts)}: ${error.message}`)
+    }
+  }
+
+  // Store a value, written to a temporary file first so an interrupted run can't leave a partial entry
+  async function write (keyParts, value, storedAt = new Date()) {
+    if (mode === 'off' || mode === 'offline') {
+      return
+    }
+    const path = entryPath(keyParts)
+    await mkdir(dir, { recursive: true })
+    await writeFile(`${path}.tmp`, JSON.stringify({ key: keyParts, storedAt, value }))
+    await rename(`${path}.tmp`, path)
+  }
+
+  // Return the cached value for the key if the mode allows it, otherwise fetch and store it
+  async function fetch (keyParts, fetcher) {
+    if (mode === 'normal' || mode === 'offline') {
+      const entry = await read(keyParts)
+      if (entry && (mode === 'offline' || isFresh(entry.storedAt))) {
+        return entry.value
+      }
+      if (mode === 'offline') {
+        throw new Error(`No cached ${keyParts[0]} data for this request, run without --offline first`)
+      }
+    }
+    const value = await fetcher()
+    await write(keyParts, value)
+    return value
+  }
+
+  return { dir, ttl, mode, isFresh, read, write, fetch }
+}
@@ -0,0 +1,84 @@
+import { isBot } from './bots.js'
+import { contributorClasses } from './contributors.js'
+import { isMaintainer } from './maintainers.js'
+import { calculateStatistics, round1 } from './statistics.js'
+
+// PRs closed without merging, told apart from merged ones, with who closed them
+
+// Who can close a PR, in the order they're reported
+export const closerTypes = {
+  author: 'Author',
+  maintainer: 'Maintainer',
+  bot: 'Bot',
+  other: 'Someone else'
+}
+
+// Who closed a PR or issue, as one of closerTypes, or null if it wasn't closed
+export function closerOf (closedEvent, creator, maintainers, isBotActor = isBot) {
+  if (!closedEvent) {
+    return null
+  }
+  const login = closedEvent.actor?.login
+  if (isBotActor(closedEvent.actor)) {
+    return 'bot'
+  }
+  if (login && login === creator) {
+    return 'author'
+  }
+  return isMaintainer(maintainers, login, new Date(closedEvent.createdAt)) ? 'maintainer' : 'other'
+}
+
+// Counts of each type of closer among PR response times
+function countClosers (responseTimes) {
+  return Object.fromEntries(
+    Object.keys(closerTypes).map((closer) => [
+      closer,
+      responseTimes.filter((rt) => rt.closer === closer).length
+    ])
+  )
+}
+
+// Merged and closed-unmerged PRs, overall and by contributor class, most recently closed first
+export function calculateClosures (responseTimes) {
+  const resolved = responseTimes.filter((rt) => rt.resolvedAt !== null)
+  const merged = resolved.filter((rt) => rt.merged)
+  const closed = resolved.filter((rt) => !rt.merged)
+  const mergeRate = (mergedCount, resolvedCount) =>
+    resolvedCount ? round1((mergedCount / resolvedCount) * 100) : null
+
+  const classes = {}
+  for (const [contributorClass, description] of Object.entries(contributorClasses)) {
+    const classResolved = resolved.filter((rt) => rt.contributorClass === contributorClass)
+    const classClosed = classResolved.filter((rt) => !rt.merged)
+    classes[contributorClass] = {
+      description,
+      resolved: classResolved.length,
+      merged: classResolved.length - classClosed.length,
+      closedUnmerged: classClosed.length,
+      mergeRate: mergeRate(classResolved.length - classClosed.length, classResolved.length),
+      closedBy: countClosers(classClosed)
+    }
+  }
+
+  return {
+    resolved: resolved.length,
+    merged: merged.length,
+    closedUnmerged: closed.length,
+    mergeRate: mergeRate(merged.length, resolved.length),
+    medianMergeHours: calculateStatistics(merged, 'resolutionTime').median,
+    medianCloseHours: calculateStatistics(closed, 'resolutionTime').median,
+    closedBy: countClosers(closed),
+    classes,
+    pullRequests: closed
+      .map((rt) => ({
+        number: rt.number,
+        creator: rt.creator,
+        contributorClass: rt.contributorClass,
+        resolvedAt: rt.resolvedAt,
+        resolutionTime: rt.resolutionTime,
+        closedBy: rt.closedBy,
+        closer: rt.closer
+      }))
+      .sort((a, b) => new Date(b.resolvedAt) - new Date(a.resolvedAt))
+  }
+}
@@ -0,0 +1,88 @@
+import { isBot } from './bots.js'
+import { isMaintainer } from './maintainers.js'
+import { averageOf, calculateStatistics, round1 } from './statistics.js'
+
+// Contributor experience: how each class of PR author is treated and whether first-timers come back
+
+// Classes of PR author, in the order they're reported
+export const contributorClasses = {
+  maintainer: 'Maintainers',
+  returning: 'Returning contributors',
+  firstTime: 'First-time contributors',
+  bot: 'Bots'
+}
+
+// authorAssociation values GitHub gives the author of a first contribution
+const firstTimeAssociations = ['FIRST_TIME_CONTRIBUTOR', 'FIRST_TIMER']
+
+// Class of a PR's author, firstPullRequest if it's known to be their first in the repository, as
+// authorAssociation is as of when it's fetched and stops saying so once they've had a PR merged
+export function classifyContributor (
+  author,
+  authorAssociation,
+  maintainers,
+  isBotActor = isBot,
+  at = null,
+  firstPullRequest = false
+) {
+  if (isBotActor(author)) {
+    return 'bot'
+  }
+  if (isMaintainer(maintainers, author?.login, at)) {
+    return 'maintainer'
+  }
+  return (firstPullRequest || firstTimeAssociations.includes(authorAssociation)) ? 'firstTime' : 'returning'
+}
+
+// Response times, merge rate and retention by contributor class, laterPullRequests being those
+// opened in the retention window after the period
+export function calculateContributorExperience (responseTimes, laterPullRequests = [], retentionEnd = null) {
+  const classes = {}
+  for (const [contributorClass, description] of Object.entries(contributorClasses)) {
+    const classResponseTimes = responseTimes.filter((rt) => rt.contributorClass === contributorClass)
+    const resolved = classResponseTimes.filter((rt) => rt.resolvedAt !== null)
+    const merged = resolved.filter((rt) => rt.merged).length
+    classes[contributorClass] = {
+      description,
+      pullRequests: classResponseTimes.length,
+      authors: new Set(classResponseTimes.map((rt) => rt.creator)).size,
+      crickets: classResponseTimes.filter((rt) => rt.officialResponseHours === null).length,
+      averageOfficialResponseHours: averageOf(classResponseTimes, 'officialResponseHours'),
+      medianOfficialResponseHours: calculateStatistics(classResponseTimes, 'officialResponseHours')
+        .median,
+      medianResolutionHours: calculateStatistics(classResponseTimes, 'resolutionTime').median,
+      merged,
+      closedUnmerged: resolved.length - merged,
+      mergeRate: resolved.length ? round1((merged / resolved.length) * 100) : null
+    }
+  }
+
+  // Each first-time contributor's first PR in the period, and whether anything followed it
+  const firstPullRequests = new Map()
+  for (const rt of responseTimes) {
+    const first = firstPullRequests.get(rt.creator)
+    if (rt.contributorClass === 'firstTime' && (!first || new Date(rt.createdAt) < new Date(first.createdAt))) {
+      firstPullRequests.set(rt.creator, rt)
+    }
+  }
+  const laterCreated = [
+    ...responseTimes.map((rt) => ({ creator: rt.creator, createdAt: rt.createdAt })),
+    ...laterPullRequests.map((pr) => ({ creator: pr.author?.login, createdAt: pr.createdAt }))
+  ]
+  const returned = [...firstPullRequests.values()].filter((first) =>
+    laterCreated.some(
+      (pr) => pr.creator === first.creator && new Date(pr.createdAt) > new Date(first.createdAt)
+    )
+  )
+
+  return {
+    classes,
+    retention: {
+      firstTimeContributors: firstPullRequests.size,
+      returned: returned.length,
+      returnedLogins: returned.map((rt) => rt.creator),
+      until: retentionEnd ? retentionEnd.toISOString() : null,
+      rate: firstPullRequests.size ? round1((returned.length / firstPullRequests.size) * 100) : null
+    }
+  }
+}
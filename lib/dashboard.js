@@ -0,0 +1,352 @@
+import { escapeHtml } from './output.js'
+import { sizeBuckets } from './sizes.js'
+
+// Dashboard: a self-contained HTML page drawing the JSON report as charts and tables
+
+const dashboardStyle = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2em auto; max-width: 80em; padding: 0 1em; color: #1f2328; }
+a { color: #0969da; }
+nav a { margin-right: 1em; }
+.cards { display: flex; flex-wrap: wrap; gap: 1em; margin: 1em 0; }
+.card { border: 1px solid #d0d7de; border-radius: 6px; padding: 0.6em 1em; min-width: 10em; }
+.card .value { font-size: 1.6em; font-weight: 600; }
+.card .label { color: #59636e; font-size: 0.85em; }
+.charts { display: flex; flex-wrap: wrap; gap: 2em; margin: 1em 0; }
+.chart h4 { margin: 0 0 0.4em; }
+.chart svg { display: block; }
+.chart text { font-size: 11px; fill: #59636e; }
+.legend span { margin-right: 1em; font-size: 0.85em; }
+.legend i { display: inline-block; width: 0.8em; height: 0.8em; margin-right: 0.3em; }
+.controls { margin: 1em 0 0.5em; }
+.controls input, .controls select { margin-right: 1em; padding: 0.2em 0.4em; }
+table { border-collapse: collapse; font-size: 0.9em; width: 100%; }
+th, td { border: 1px solid #d0d7de; padding: 0.3em 0.6em; text-align: right; }
+th:first-child, td:first-child, th.text, td.text { text-align: left; }
+thead th { background: #f6f8fa; cursor: pointer; user-select: none; }
+thead th[data-sort="asc"]::after { content: " \\25b2"; }
+thead th[data-sort="desc"]::after { content: " \\25bc"; }
+tbody tr:nth-child(even) { background: #f6f8fa; }
+.count { color: #59636e; font-size: 0.85em; }
+`
+
+// The dashboard itself, inlined into the page as source so it can only use what's passed to it
+function dashboardApp (report, sizes) {
+  const { document } = globalThis
+  const colors = ['#0969da', '#bf8700', '#1a7f37', '#cf222e', '#8250df']
+  const kindNames = { pullRequests: 'Pull requests', issues: 'Issues' }
+  const hours = (value) => (value === null || value === undefined ? '-' : value)
+
+  const el = (tag, attributes = {}, ...children) => {
+    const node = document.createElement(tag)
+    for (const [name, value] of Object.entries(attributes)) {
+      node.setAttribute(name, value)
+    }
+    node.append(...children.filter((child) => child !== null && child !== undefined))
+    return node
+  }
+  const svg = (tag, attributes = {}, ...children) => {
+    const node = document.createElementNS('http://www.w3.org/2000/svg', tag)
+    for (const [name, value] of Object.entries(attributes)) {
+      node.setAttribute(name, value)
+    }
+    node.append(...children)
+    return node
+  }
+
+  // Headline numbers as cards
+  const cards = (items) =>
+    el(
+      'div',
+      { class: 'cards' },
+      ...items.map(([label, value]) =>
+        el('div', { class: 'card' }, el('div', { class: 'value' }, String(hours(value))), el('div', { class: 'label' }, label))
+      )
+    )
+
+  // Vertical bars of counts with each count above its bar, '-' and no bar for null
+  const barChart = (title, counts, color = colors[0]) => {
+    const entries = Object.entries(counts)
+    const width = 60 * entries.length + 20
+    const height = 160
+    const max = Math.max(1, ...entries.map(([, count]) => count ?? 0))
+    const chart = svg('svg', { width, height })
+    entries.forEach(([label, count], i) => {
+      const barHeight = ((height - 40) * (count ?? 0)) / max
+      const x = 20 + i * 60
+      if (count !== null) {
+        chart.append(
+          svg('rect', { x, y: height - 20 - barHeight, width: 44, height: barHeight, fill: color }, svg('title', {}, `${label}: ${count}`))
+        )
+      }
+      chart.append(
+        svg('text', { x: x + 22, y: height - 24 - barHeight, 'text-anchor': 'middle' }, count === null ? '-' : String(count)),
+        svg('text', { x: x + 22, y: height - 5, 'text-anchor': 'middle' }, label)
+      )
+    })
+    return el('div', { class: 'chart' }, el('h4', {}, title), chart)
+  }
+
+  // Lines of one or more fields across trend periods, gaps where a period has no value
+  const lineChart = (title, periods, series) => {
+    const width = Math.max(320, 50 * periods.length + 60)
+    const height = 180
+    const values = periods.flatMap((period) => series.map(({ field }) => period[field])).filter((value) => value !== null)
+    const max = Math.max(1, ...values)
+    const x = (i) => 50 + (periods.length > 1 ? (i * (width - 70)) / (periods.length - 1) : (width - 70) / 2)
+    const y = (value) => height - 30 - ((height - 50) * value) / max
+    const chart = svg(
+      'svg',
+      { width, height },
+      svg('line', { x1: 45, y1: height - 30, x2: width - 10, y2: height - 30, stroke: '#d0d7de' }),
+      svg('text', { x: 40, y: y(max) + 4, 'text-anchor': 'end' }, `${max}h`),
+      svg('text', { x: 40, y: height - 26, 'text-anchor': 'end' }, '0')
+    )
+    periods.forEach((period, i) => {
+      if (periods.length <= 12 || i % Math.ceil(periods.length / 12) === 0) {
+        chart.append(svg('text', { x: x(i), y: height - 12, 'text-anchor': 'middle' }, period.start.slice(5, 10)))
+      }
+    })
+    series.forEach(({ field, label }, s) => {
+      let path = ''
+      periods.forEach((period, i) => {
+        if (period[field] === null) {
+          return
+        }
+        path += `${path && periods[i - 1]?.[field] !== null ? 'L' : 'M'}${x(i)},${y(period[field])}`
+        chart.append(
+          svg(
+            'circle',
+            { cx: x(i), cy: y(period[field]), r: 3, fill: colors[s] },
+            svg('title', {}, `${label}, ${period.start.slice(0, 10)}${period.partial ? ' (partial)' : ''}: ${period[field]}h over ${period.total}`)
+          )
+        )
+      })
+      chart.append(svg('path', { d: path, fill: 'none', stroke: colors[s], 'stroke-width': 2 }))
+    })
+    const legend = el(
+      'div',
+      { class: 'legend' },
+      ...series.map(({ label }, s) => el('span', {}, el('i', { style: `background: ${colors[s]}` }), label))
+    )
+    return el('div', { class: 'chart' }, el('h4', {}, title), chart, legend)
+  }
+
+  // A table sorted by clicking a header and filtered by text and selects, columns are { label, value, text }
+  const dataTable = (columns, rows, selects = []) => {
+    const tbody = el('tbody')
+    const count = el('span', { class: 'count' })
+    const search = el('input', { type: 'search', placeholder: 'Filter' })
+    const selectFilters = selects.map(({ label, value }) => {
+      const options = [...new Set(rows.map(value))].sort()
+      const select = el('select', {}, el('option', { value: '' }, `${label}: all`), ...options.map((option) => el('option', { value: option }, option)))
+      return { select, value }
+    })
+    let sortColumn = null
+    let sortDirection = 1
+
+    const render = () => {
+      const query = search.value.toLowerCase()
+      let shown = rows.filter(
+        (row) =>
+          (!query || columns.some((column) => String(column.text(row)).toLowerCase().includes(query))) &&
+          selectFilters.every(({ select, value }) => !select.value || value(row) === select.value)
+      )
+      if (sortColumn) {
+        shown = shown.slice().sort((a, b) => {
+          const [valueA, valueB] = [sortColumn.value(a), sortColumn.value(b)]
+          // Missing values sort last either way
+          if (valueA === null || valueB === null) {
+            return (valueA === null) - (valueB === null)
+          }
+          return (valueA < valueB ? -1 : valueA > valueB ? 1 : 0) * sortDirection
+        })
+      }
+      tbody.replaceChildren(
+        ...shown.map((row) =>
+          el(
+            'tr',
+            {},
+            ...columns.map((column) => {
+              const text = String(column.text(row))
+              const url = column.link?.(row)
+              return el('td', column.numeric ? {} : { class: 'text' }, url ? el('a', { href: url }, text) : text)
+            })
+          )
+        )
+      )
+      count.textContent = `${shown.length} of ${rows.length}`
+    }
+
+    const headers = columns.map((column) => {
+      const th = el('th', column.numeric ? {} : { class: 'text' }, column.label)
+      th.addEventListener('click', () => {
+        sortDirection = sortColumn === column ? -sortDirection : 1
+        sortColumn = column
+        for (const header of headers) {
+          header.removeAttribute('data-sort')
+        }
+        th.setAttribute('data-sort', sortDirection === 1 ? 'asc' : 'desc')
+        render()
+      })
+      return th
+    })
+    search.addEventListener('input', render)
+    for (const { select } of selectFilters) {
+      select.addEventListener('change', render)
+    }
+    render()
+    return el(
+      'div',
+      {},
+      el('div', { class: 'controls' }, search, ...selectFilters.map(({ select }) => select), count),
+      el('table', {}, el('thead', {}, el('tr', {}, ...headers)), tbody)
+    )
+  }
+
+  const column = (label, field, numeric = true) => ({
+    label,
+    numeric,
+    value: (row) => row[field] ?? null,
+    text: (row) => hours(row[field])
+  })
+  const stateOf = (item) => (item.merged ? 'merged' : item.resolvedAt ? 'closed' : 'open')
+
+  // The PRs or issues of a repository, each linking to it on GitHub
+  const itemsTable = (kind, items) => {
+    const columns = [
+      { label: '#', numeric: true, value: (item) => item.number, text: (item) => `#${item.number}`, link: (item) => item.url },
+      { label: 'Created', value: (item) => item.createdAt, text: (item) => item.createdAt.slice(0, 10) },
+      { label: 'Author', value: (item) => item.creator, text: (item) => (item.creator ? `@${item.creator}` : '@ghost') },
+      kind === 'pullRequests'
+        ? { label: 'Contributor', value: (item) => item.contributorClass, text: (item) => item.contributorClass }
+        : { label: 'Maintainer', value: (item) => (item.maintainer ? 'yes' : 'no'), text: (item) => (item.maintainer ? 'yes' : 'no') },
+      { label: 'State', value: stateOf, text: stateOf },
+      column('Official response (h)', 'officialResponseHours'),
+      column('Non-author response (h)', 'nonAuthorResponseHours'),
+      column('Resolution (h)', 'resolutionTime')
+    ]
+    if (kind === 'pullRequests') {
+      columns.push(
+        { label: 'Size', value: (item) => sizes.indexOf(item.size), text: (item) => item.size },
+        column('Review rounds', 'reviewRounds')
+      )
+    }
+    columns.push({ label: 'Labels', value: (item) => item.labels.join(', '), text: (item) => item.labels.join(', ') })
+    const selects = [{ label: 'State', value: stateOf }]
+    if (kind === 'pullRequests') {
+      selects.push({ label: 'Contributor', value: (item) => item.contributorClass })
+    }
+    return dataTable(columns, items, selects)
+  }
+
+  // PRs, merge rate and response times of each class of contributor
+  const contributorsSection = (contributors) => {
+    const classes = Object.values(contributors.classes).filter((stats) => stats.pullRequests)
+    const rows = classes.map((stats) => ({ ...stats, mergeRateText: stats.mergeRate === null ? '-' : `${stats.mergeRate}%` }))
+    return el(
+      'div',
+      {},
+      el('h3', {}, 'Contributors'),
+      el(
+        'div',
+        { class: 'charts' },
+        barChart('PRs by class of author', Object.fromEntries(classes.map((stats) => [stats.description.split(' ')[0], stats.pullRequests])), colors[4]),
+        barChart(
+          'Median official response (h)',
+          Object.fromEntries(classes.map((stats) => [stats.description.split(' ')[0], stats.medianOfficialResponseHours])),
+          colors[1]
+        )
+      ),
+      dataTable(
+        [
+          { label: 'Class of author', value: (row) => row.description, text: (row) => row.description },
+          column('PRs', 'pullRequests'),
+          column('Authors', 'authors'),
+          column('No official response', 'crickets'),
+          column('Median official response (h)', 'medianOfficialResponseHours'),
+          column('Median resolution (h)', 'medianResolutionHours'),
+          column('Merged', 'merged'),
+          column('Closed unmerged', 'closedUnmerged'),
+          { label: 'Merge rate', numeric: true, value: (row) => row.mergeRate, text: (row) => row.mergeRateText }
+        ],
+        rows
+      ),
+      el(
+        'p',
+        {},
+        `${contributors.retention.firstTimeContributors} first-time contributors, ${contributors.retention.returned} opened another PR` +
+          (contributors.retention.rate === null ? '' : ` (${contributors.retention.rate}%)`)
+      )
+    )
+  }
+
+  const kindSection = (kind, output) => {
+    const { summary, statistics, trend } = output
+    return el(
+      'section',
+      {},
+      el('h3', {}, kindNames[kind]),
+      cards([
+        [kindNames[kind], summary.total],
+        ['No official response', summary.crickets],
+        ['Median official response (h)', summary.medianOfficialResponseHours],
+        ['Median resolution (h)', summary.medianResolutionHours]
+      ]),
+      el(
+        'div',
+        { class: 'charts' },
+        barChart('Official response', statistics.officialResponseHours.all.histogram, colors[0]),
+        barChart('Resolution', statistics.resolutionTime.all.histogram, colors[2]),
+        trend.length
+          ? lineChart('Trend, by period created', trend, [
+            { field: 'medianOfficialResponseHours', label: 'Median official response' },
+            { field: 'medianResolutionHours', label: 'Median resolution' }
+          ])
+          : null
+      ),
+      itemsTable(kind, output.items)
+    )
+  }
+
+  const root = document.getElementById('dashboard')
+  const id = (repository) => repository.repository.replace(/[^\w-]/g, '-')
+  if (report.repositories.length > 1) {
+    root.append(el('nav', {}, ...report.repositories.map((repository) => el('a', { href: `#${id(repository)}` }, repository.repository))))
+  }
+  for (const repository of report.repositories) {
+    root.append(
+      el(
+        'section',
+        { id: id(repository) },
+        el('h2', {}, el('a', { href: `https://github.com/${repository.repository}` }, repository.repository)),
+        repository.pullRequests ? kindSection('pullRequests', repository.pullRequests) : null,
+        repository.contributors ? contributorsSection(repository.contributors) : null,
+        repository.issues ? kindSection('issues', repository.issues) : null
+      )
+    )
+  }
+}
+
+// Render a JSON report as a self-contained interactive HTML page
+export function renderDashboard (report, title = 'Repository health') {
+  // Inlined in a script element, which mustn't see anything that looks like a closing tag
+  const data = JSON.stringify(report).replace(/</g, '\\u003c')
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${dashboardStyle}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(`${report.period.start.slice(0, 10)} to ${report.period.end.slice(0, 10)}`)}</p>
+<div id="dashboard"></div>
+<script>
+(${dashboardApp})(${data}, ${JSON.stringify(sizeBuckets.map(({ size }) => size))})
+</script>
+</body>
+</html>
+`
+}
@@ -0,0 +1,168 @@
+// Date parsing and working calendars for business hours
+
+// Helper function to convert milliseconds to hours and round to the nearest integer
+export function convertToRoundedHours (milliseconds) {
+  return Math.round(milliseconds / (1000 * 60 * 60))
+}
+
+export const dayNames = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+
+// Cached Intl formatters, one per time zone, for reading wall-clock time
+const zonedFormatters = new Map()
+
+// The wall-clock year, month, day, hour, minute and second of an instant in a time zone
+function zonedParts (time, timeZone) {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      })
+    )
+  }
+  const parts = {}
+  for (const { type, value } of zonedFormatters.get(timeZone).formatToParts(time)) {
+    if (type !== 'literal') {
+      parts[type] = parseInt(value, 10)
+    }
+  }
+  return parts
+}
+
+// The instant the wall clock in a time zone shows a date and minute of the day, allowing for DST
+function zonedTime (year, month, day, minutes, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes)
+  let time = wallClock
+  for (let i = 0; i < 2; i++) {
+    const p = zonedParts(time, timeZone)
+    time = wallClock - (Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - time)
+  }
+  return time
+}
+
+// Milliseconds between two instants that fall within the working hours of a calendar
+export function businessMillisecondsBetween (start, end, calendar) {
+  let total = 0
+  const first = zonedParts(start, calendar.timeZone)
+
+  // Walk through each wall-clock day the interval touches
+  for (let day = Date.UTC(first.year, first.month - 1, first.day); ; day += 24 * 60 * 60 * 1000) {
+    const date = new Date(day)
+    const [year, month, dayOfMonth] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()]
+    const dayStart = zonedTime(year, month, dayOfMonth, calendar.startMinutes, calendar.timeZone)
+    if (dayStart >= end.getTime()) {
+      break
+    }
+    if (
+      !calendar.days.includes(date.getUTCDay()) ||
+      calendar.holidays.has(date.toISOString().slice(0, 10))
+    ) {
+      continue
+    }
+    const dayEnd = zonedTime(year, month, dayOfMonth, calendar.endMinutes, calendar.timeZone)
+    total += Math.max(0, Math.min(dayEnd, end.getTime()) - Math.max(dayStart, start.getTime()))
+  }
+
+  return total
+}
+
+// Rounded hours between two instants, only working hours if there's a calendar, null with no end
+export function hoursBetween (start, end, calendar) {
+  if (!end) {
+    return null
+  }
+  return convertToRoundedHours(
+    calendar ? businessMillisecondsBetween(start, end, calendar) : end - start
+  )
+}
+
+// Parse a YYYY-MM-DD date, or a period before now such as 30d, 2w or 1m
+export function parseDate (str, name, endOfDay = false) {
+  const relative = str.match(/^(\d+)([dwm])$/)
+  if (relative) {
+    const count = parseInt(relative[1], 10)
+    const date = new Date()
+    if (relative[2] === 'm') {
+      date.setMonth(date.getMonth() - count)
+    } else {
+      date.setDate(date.getDate() - count * (relative[2] === 'w' ? 7 : 1))
+    }
+    return date
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(str)) {
+    throw new Error(`${name} must be in YYYY-MM-DD format or a relative period such as 30d, 2w or 1m`)
+  }
+  const date = new Date(str)
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date provided for ${name}: ${str}`)
+  }
+  if (endOfDay) {
+    date.setUTCHours(23, 59, 59, 999)
+  }
+  return date
+}
+
+// The start of the UTC day of an instant, so that relative dates stay the same through the day
+export function startOfDay (date) {
+  return new Date(date.toISOString().slice(0, 10))
+}
+
+// Parse "HH" or "HH:MM" into minutes since midnight
+function parseTimeOfDay (str) {
+  const match = String(str).match(/^(\d{1,2})(?::(\d{2}))?$/)
+  if (!match || parseInt(match[1], 10) > 24 || parseInt(match[2] || '0', 10) > 59) {
+    throw new Error(`Invalid time of day: ${str}`)
+  }
+  return parseInt(match[1], 10) * 60 + parseInt(match[2] || '0', 10)
+}
+
+// Build a working calendar from options such as { "timeZone": "Europe/Berlin", "days": "mon-fri" }
+export function parseCalendar (options) {
+  const timeZone = options.timeZone || 'UTC'
+  try {
+    zonedParts(new Date(), timeZone)
+  } catch (error) {
+    throw new Error(`Invalid time zone: ${timeZone}`)
+  }
+
+  const toList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+
+  const days = new Set()
+  for (const spec of toList(options.days || 'mon-fri')) {
+    const [from, to = from] = spec.trim().toLowerCase().split('-').map((day) => dayNames.indexOf(day.slice(0, 3)))
+    if (from === -1 || to === -1) {
+      throw new Error(`Invalid working days: ${spec}, use day names such as mon-fri or mon,wed,fri`)
+    }
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day)
+      if (day === to) {
+        break
+      }
+    }
+  }
+
+  const [start, end] = String(options.hours || '9-17').split('-')
+  const startMinutes = parseTimeOfDay(start)
+  const endMinutes = parseTimeOfDay(end)
+  if (startMinutes >= endMinutes) {
+    throw new Error(`Invalid working hours: ${options.hours}, the start must be before the end`)
+  }
+
+  const holidays = new Set()
+  for (const holiday of options.holidays ? toList(options.holidays) : []) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(holiday.trim())) {
+      throw new Error(`Holidays must be in YYYY-MM-DD format: ${holiday}`)
+    }
+    holidays.add(holiday.trim())
+  }
+
+  return { timeZone, days: [...days], startMinutes, endMinutes, holidays }
+}
@@ -0,0 +1,73 @@
+import { convertToRoundedHours } from './dates.js'
+import { isMaintainer } from './maintainers.js'
+import { calculateStatistics, round1 } from './statistics.js'
+
+// Draft PRs, reported apart from response times as they're not waiting on maintainers
+
+// The PRs still in draft, oldest first, and those marked ready for review within the range, which
+// may be in updatedPullRequests if they were opened before it
+export function calculateDrafts (
+  pullRequests,
+  maintainers,
+  rangeStart,
+  rangeEnd,
+  { updatedPullRequests = [], now = new Date() } = {}
+) {
+  const drafts = pullRequests
+    .filter((pr) => pr.isDraft)
+    .map((pr) => {
+      const creator = pr.author?.login
+      const engagedBy = [
+        ...new Set(
+          [...pr.comments.nodes, ...pr.reviews.nodes]
+            .map((event) => event.author?.login)
+            .filter((login) => login && login !== creator)
+        )
+      ]
+      const ageHours = convertToRoundedHours(now - new Date(pr.createdAt))
+      return {
+        number: pr.number,
+        creator,
+        maintainer: isMaintainer(maintainers, creator, new Date(pr.createdAt)),
+        createdAt: pr.createdAt,
+        ageHours,
+        ageDays: round1(ageHours / 24),
+        closed: pr.timelineItems.nodes.some((event) => event.__typename === 'ClosedEvent'),
+        engaged: engagedBy.length > 0,
+        engagedBy
+      }
+    })
+    .sort((a, b) => b.ageHours - a.ageHours)
+
+  const byNumber = new Map([...updatedPullRequests, ...pullRequests].map((pr) => [pr.number, pr]))
+  const converted = [...byNumber.values()]
+    .filter((pr) => !pr.isDraft)
+    .map((pr) => ({
+      pr,
+      readyEvent: pr.timelineItems.nodes.find((event) => event.__typename === 'ReadyForReviewEvent')
+    }))
+    .filter(
+      ({ readyEvent }) =>
+        readyEvent &&
+        new Date(readyEvent.createdAt) >= rangeStart &&
+        new Date(readyEvent.createdAt) <= rangeEnd
+    )
+    .map(({ pr, readyEvent }) => ({
+      draftHours: convertToRoundedHours(new Date(readyEvent.createdAt) - new Date(pr.createdAt))
+    }))
+  const { median, p90 } = calculateStatistics(converted, 'draftHours')
+
+  const open = drafts.filter((draft) => !draft.closed)
+  return {
+    total: open.length,
+    maintainer: open.filter((draft) => draft.maintainer).length,
+    engaged: open.filter((draft) => draft.engaged).length,
+    closed: drafts.length - open.length,
+    pullRequests: drafts,
+    converted: {
+      total: converted.length,
+      medianDraftHours: median,
+      p90DraftHours: p90
+    }
+  }
+}
@@ -0,0 +1,201 @@
+// Shared GitHub API client for REST and GraphQL, with retries, rate limiting and a concurrency cap
+
+const apiUrl = 'https://api.github.com'
+
+// Statuses worth retrying, anything else that isn't ok fails straight away
+const retryableStatuses = [500, 502, 503, 504]
+
+function sleep (ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+export function createGitHubClient ({
+  token,
+  userAgent = 'repo-health-metrics',
+  concurrency = 4,
+  maxRetries = 5,
+  baseDelay = 1000,
+  log = (message) => console.error(message)
+}) {
+  if (!token) {
+    throw new Error('A GitHub token is required')
+  }
+
+  // Rate limit state per resource (core, graphql, search...) from the most recent response headers
+  const rateLimits = {}
+  let graphqlCost = 0
+  let requestCount = 0
+
+  // Simple semaphore capping requests in flight
+  let active = 0
+  const waiting = []
+  async function acquire () {
+    if (active >= concurrency) {
+      await new Promise((resolve) => waiting.push(resolve))
+    }
+    active++
+  }
+  function release () {
+    active--
+    if (waiting.length) {
+      waiting.shift()()
+    }
+  }
+
+  function recordRateLimit (response) {
+    const remaining = response.headers.get('x-ratelimit-remaining')
+    if (remaining === null) {
+      return
+    }
+    const resource = response.headers.get('x-ratelimit-resource') || 'core'
+    rateLimits[resource] = {
+      limit: parseInt(response.headers.get('x-ratelimit-limit'), 10),
+      remaining: parseInt(remaining, 10),
+      reset: new Date(parseInt(response.headers.get('x-ratelimit-reset'), 10) * 1000)
+    }
+  }
+
+  // If we already know a resource is exhausted, wait for it to reset rather than failing
+  async function waitForBudget (resource) {
+    const rateLimit = rateLimits[resource]
+    if (rateLimit && rateLimit.remaining === 0 && rateLimit.reset > new Date()) {
+      const ms = rateLimit.reset - new Date() + 1000
+      log(`GitHub ${resource} rate limit exhausted, waiting ${Math.ceil(ms / 1000)}s for it to reset`)
+      await sleep(ms)
+      rateLimit.remaining = rateLimit.limit
+    }
+  }
+
+  // How long to wait before retrying a rate limited response, or null if it isn't rate limited
+  function rateLimitDelay (response, body, attempt) {
+    const retryAfter = response.headers.get('retry-after')
+    if (retryAfter !== null) {
+      return parseInt(retryAfter, 10) * 1000
+    }
+    if (response.headers.get('x-ratelimit-remaining') === '0') {
+      const reset = parseInt(response.headers.get('x-ratelimit-reset'), 10) * 1000
+      return Math.max(reset - Date.now(), 0) + 1000
+    }
+    if (/secondary rate limit|abuse/i.test(body)) {
+      // No hint from GitHub, the docs recommend waiting at least a minute
+      return 60 * 1000 * 2 ** attempt
+    }
+    return null
+  }
+
+  // Make a request, retrying transient failures, and return the response and its parsed JSON
+  async function request (path, { method = 'GET', body, resource = 'core' } = {}) {
+    const url = path.startsWith('https://') ? path : `${apiUrl}${path}`
+
+    for (let attempt = 0; ; attempt++) {
+      await acquire()
+      let response
+      let text
+      try {
+        await waitForBudget(resource)
+        requestCount++
+        response = await fetch(url, {
+          method,
+          headers: {
+            'User-Agent': userAgent,
+            Authorization: `Bearer ${token}`,
+            Accept: 'application/vnd.github+json',
+            'X-GitHub-Api-Version': '2022-11-28'
+          },
+          body: body === undefined ? undefined : JSON.stringify(body)
+        })
+        recordRateLimit(response)
+        text = await response.text()
+      } catch (error) {
+        // Network level failures are worth retrying too
+        if (attempt >= maxRetries) {
+          throw new Error(`GitHub API request to ${url} failed: ${error.message}`)
+        }
+        const delay = baseDelay * 2 ** attempt
+        log(`GitHub API request failed (${error.message}), retrying in ${delay / 1000}s`)
+        await sleep(delay)
+        continue
+      } finally {
+        release()
+      }
+
+      if (response.ok) {
+        return { response, data: JSON.parse(text) }
+      }
+
+      let delay = null
+      if (response.status === 403 || response.status === 429) {
+        delay = rateLimitDelay(response, text, attempt)
+        if (delay !== null) {
+          log(`GitHub API rate limited, waiting ${Math.ceil(delay / 1000)}s before retrying`)
+        }
+      } else if (retryableStatuses.includes(response.status)) {
+        delay = baseDelay * 2 ** attempt + Math.floor(Math.random() * baseDelay)
+        log(`GitHub API responded ${response.status}, retrying in ${Math.ceil(delay / 1000)}s`)
+      }
+
+      if (delay === null || attempt >= maxRetries) {
+        let message = response.statusText
+        try {
+          message = JSON.parse(text).message || message
+        } catch {}
+        throw new Error(`GitHub API request to ${url} failed: ${response.status} ${message}`)
+      }
+      await sleep(delay)
+    }
+  }
+
+  // Make a REST API request and return the parsed response
+  async function rest (path) {
+    return (await request(path)).data
+  }
+
+  // Fetch every page of a REST API list by following the Link header
+  async function restPages (path) {
+    let items = []
+    let next = path
+    while (next) {
+      const { response, data } = await request(next)
+      items = items.concat(data)
+      next = response.headers.get('link')?.match(/<([^>]+)>;\s*rel="next"/)?.[1] || null
+    }
+    return items
+  }
+
+  // Run a GraphQL query and return { data }, retrying rate limits reported as GraphQL errors
+  async function graphql (query, variables) {
+    for (let attempt = 0; ; attempt++) {
+      const { response, data } = await request('/graphql', {
+        method: 'POST',
+        body: { query, variables },
+        resource: 'graphql'
+      })
+      if (data.data?.rateLimit?.cost) {
+        graphqlCost += data.data.rateLimit.cost
+      }
+      if (!data.errors) {
+        return data
+      }
+      if (data.errors.some((error) => error.type === 'RATE_LIMITED') && attempt < maxRetries) {
+        const delay = rateLimitDelay(response, 'secondary rate limit', attempt)
+        log(`GitHub GraphQL API rate limited, waiting ${Math.ceil(delay / 1000)}s before retrying`)
+        await sleep(delay)
+        continue
+      }
+      throw new Error(`GitHub GraphQL query failed: ${data.errors[0].message}`)
+    }
+  }
+
+  // A one-line description of the requests made and the rate limit budget that's left
+  function rateLimitSummary () {
+    const budgets = Object.entries(rateLimits).map(
+      ([resource, { limit, remaining, reset }]) =>
+        `${resource} ${remaining}/${limit} remaining, resets ${reset.toLocaleTimeString()}`
+    )
+    return `GitHub API: ${requestCount} requests${
+      graphqlCost ? `, GraphQL cost ${graphqlCost}` : ''
+    }${budgets.length ? `; ${budgets.join('; ')}` : ''}`
+  }
+
+  return { rest, restPages, graphql, rateLimits, rateLimitSummary }
+}
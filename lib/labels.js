@@ -0,0 +1,69 @@
+import { summarizeResponseTimes } from './statistics.js'
+
+// Label filters and breakdowns, matching names case-insensitively as GitHub does
+
+export const labelUsage = `Labels:
+  --label <names>            Only include PRs and issues with any of these labels, may be repeated
+                             or comma-separated
+  --exclude-label <names>    Leave out PRs and issues with any of these labels, may be repeated or
+                             comma-separated`
+
+// Breakdown entry of the items without any labels
+export const unlabelled = '(no label)'
+
+// Parse label names from repeated and/or comma-separated options, or a config file
+export function parseLabelList (value) {
+  return [value || []]
+    .flat()
+    .flatMap((names) => names.split(','))
+    .map((name) => name.trim())
+    .filter(Boolean)
+}
+
+// Create a function telling whether label names have any include labels and no exclude labels
+export function createLabelFilter ({ include = [], exclude = [] } = {}) {
+  const lower = (names) => names.map((name) => name.toLowerCase())
+  const included = lower(include)
+  const excluded = lower(exclude)
+  return (labels) => {
+    const names = lower(labels)
+    return (
+      (!included.length || names.some((name) => included.includes(name))) &&
+      !names.some((name) => excluded.includes(name))
+    )
+  }
+}
+
+// Names of the labels of a PR or issue as fetched with a labels connection
+export function labelNames (item) {
+  return (item.labels?.nodes || []).map((label) => label.name)
+}
+
+// One-line description of a label filter, or null if it doesn't filter anything
+export function labelFilterDescription ({ include = [], exclude = [] }) {
+  const parts = []
+  if (include.length) {
+    parts.push(`labelled ${include.join(' or ')}`)
+  }
+  if (exclude.length) {
+    parts.push(`not labelled ${exclude.join(' or ')}`)
+  }
+  return parts.length ? parts.join(' and ') : null
+}
+
+// Response and resolution summaries for each label, most used first with unlabelled items last
+export function calculateLabelBreakdown (responseTimes) {
+  const labelOf = (rt) => (rt.labels.length ? rt.labels : [unlabelled])
+  const labels = [...new Set(responseTimes.flatMap(labelOf))]
+  return labels
+    .map((label) => ({
+      label,
+      ...summarizeResponseTimes(responseTimes.filter((rt) => labelOf(rt).includes(label)))
+    }))
+    .sort(
+      (a, b) =>
+        (a.label === unlabelled) - (b.label === unlabelled) ||
+        b.total - a.total ||
+        a.label.localeCompare(b.label)
+    )
+}
@@ -0,0 +1,95 @@
+import { hoursBetween } from './dates.js'
+import { averageOf, calculateStatistics, round1 } from './statistics.js'
+
+// PR lifecycle: the stages a PR goes through from being opened to being merged
+
+// The stages, in order, with their fields and business hours equivalents
+export const lifecycleStages = [
+  { field: 'draftHours', businessField: 'draftBusinessHours', description: 'In draft' },
+  { field: 'pickupHours', businessField: 'pickupBusinessHours', description: 'Ready to first review' },
+  { field: 'reviewHours', businessField: 'reviewBusinessHours', description: 'First review to final approval' },
+  { field: 'approvalToMergeHours', businessField: 'approvalToMergeBusinessHours', description: 'Final approval to merge' }
+]
+
+// Hours a PR spent in each lifecycle stage, null for those it hasn't reached, and its review rounds
+export function calculateLifecycle (pr, calendar = null) {
+  const creator = pr.author?.login
+  const createdAt = new Date(pr.createdAt)
+  const readyEvent = pr.timelineItems.nodes.find((event) => event.__typename === 'ReadyForReviewEvent')
+  const mergedEvent = pr.timelineItems.nodes.find((event) => event.__typename === 'MergedEvent')
+  const readyAt = readyEvent ? new Date(readyEvent.createdAt) : createdAt
+  const mergedAt = mergedEvent ? new Date(mergedEvent.createdAt) : null
+
+  const reviews = pr.reviews.nodes
+    .filter((review) => review.state !== 'PENDING' && review.author?.login !== creator)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+  const firstReviewAt = reviews.length ? new Date(reviews[0].createdAt) : null
+  // The last approval before the merge, or so far if it hasn't been merged
+  const approvals = reviews.filter(
+    (review) => review.state === 'APPROVED' && (!mergedAt || new Date(review.createdAt) <= mergedAt)
+  )
+  const approvedAt = approvals.length ? new Date(approvals[approvals.length - 1].createdAt) : null
+
+  const stages = {
+    draftHours: [createdAt, readyEvent ? readyAt : null],
+    pickupHours: [readyAt, firstReviewAt],
+    reviewHours: [firstReviewAt, approvedAt],
+    approvalToMergeHours: [approvedAt, approvedAt && mergedAt]
+  }
+  const lifecycle = {}
+  for (const { field, businessField } of lifecycleStages) {
+    const [start, end] = stages[field]
+    // A draft reviewed before it was ready counts as picked up as soon as it was
+    const until = start && end ? new Date(Math.max(start, end)) : null
+    lifecycle[field] = hoursBetween(start, until, null)
+    if (calendar) {
+      lifecycle[businessField] = hoursBetween(start, until, calendar)
+    }
+  }
+  lifecycle.reviewRounds = reviews.filter((review) => review.state === 'CHANGES_REQUESTED').length
+  return lifecycle
+}
+
+// Statistics of each lifecycle stage, with the share of merged PRs' time spent in each
+export function summarizeLifecycle (responseTimes, calendar = null) {
+  // Merged PRs that went through every stage other than draft, whose time can be split between them
+  const complete = responseTimes.filter(
+    (rt) => rt.pickupHours !== null && rt.reviewHours !== null && rt.approvalToMergeHours !== null
+  )
+  const total = complete.reduce(
+    (sum, rt) => sum + lifecycleStages.reduce((stageSum, { field }) => stageSum + (rt[field] || 0), 0),
+    0
+  )
+
+  const stages = lifecycleStages.map(({ field, businessField, description }) => {
+    const { count, median, p90 } = calculateStatistics(responseTimes, field)
+    const stage = {
+      stage: field,
+      description,
+      count,
+      median,
+      p90,
+      shareOfMergedTime: total
+        ? round1((complete.reduce((sum, rt) => sum + (rt[field] || 0), 0) / total) * 100)
+        : null
+    }
+    if (calendar) {
+      const business = calculateStatistics(responseTimes, businessField)
+      stage.businessMedian = business.median
+      stage.businessP90 = business.p90
+    }
+    return stage
+  })
+
+  const reviewed = responseTimes.filter((rt) => rt.pickupHours !== null)
+  return {
+    stages,
+    mergedPullRequests: complete.length,
+    reviewRounds: {
+      reviewedPullRequests: reviewed.length,
+      withChangesRequested: reviewed.filter((rt) => rt.reviewRounds > 0).length,
+      average: averageOf(reviewed, 'reviewRounds'),
+      max: reviewed.length ? Math.max(...reviewed.map((rt) => rt.reviewRounds)) : null
+    }
+  }
+}
@@ -0,0 +1,63 @@
+import { readFileSync } from 'node:fs'
+import { parseDate } from './dates.js'
+
+// Maintainers, as logins or { login, from, to } entries for who was a maintainer when
+
+// Parse a maintainer allow-list of logins and/or { "login", "from", "to" } entries
+export function parseMaintainerList (list) {
+  if (!Array.isArray(list)) {
+    throw new Error('A maintainer list must be an array of logins or { "login", "from", "to" } entries')
+  }
+  return list.map((entry) => {
+    const { login, from = null, to = null } = typeof entry === 'string' ? { login: entry } : entry || {}
+    if (typeof login !== 'string' || !login) {
+      throw new Error(`Maintainer entry without a login: ${JSON.stringify(entry)}`)
+    }
+    return {
+      login: login.replace(/^@/, ''),
+      from: from ? parseDate(from, `"from" of ${login}`) : null,
+      to: to ? parseDate(to, `"to" of ${login}`, true) : null
+    }
+  })
+}
+
+// Read a maintainer allow-list from a JSON file
+export function readMaintainerList (file) {
+  let list
+  try {
+    list = JSON.parse(readFileSync(file, 'utf8'))
+  } catch (error) {
+    throw new Error(`Failed to read maintainer list ${file}: ${error.message}`)
+  }
+  try {
+    return parseMaintainerList(list)
+  } catch (error) {
+    throw new Error(`Invalid maintainer list ${file}: ${error.message}`)
+  }
+}
+
+// Combine the members of maintainer teams with an allow-list, whose entries take precedence
+export function combineMaintainers (teamMembers, allowList = []) {
+  const listed = new Set(allowList.map(({ login }) => login.toLowerCase()))
+  return teamMembers
+    .filter((login) => !listed.has(login.toLowerCase()))
+    .map((login) => ({ login, from: null, to: null }))
+    .concat(allowList)
+}
+
+// Whether a login is a maintainer at the given time, or at any time if there isn't one
+export function isMaintainer (maintainers, login, at = null) {
+  if (!login) {
+    return false
+  }
+  const lower = login.toLowerCase()
+  return maintainers.some((entry) => {
+    if (typeof entry === 'string') {
+      return entry.toLowerCase() === lower
+    }
+    return (
+      entry.login.toLowerCase() === lower &&
+      (!at || ((!entry.from || new Date(entry.from) <= at) && (!entry.to || at <= new Date(entry.to))))
+    )
+  })
+}
@@ -0,0 +1,162 @@
+import { createWriteStream } from 'node:fs'
+
+// Output handling shared by the commands
+
+// Parse comma-separated format[:destination] specs, destination defaulting to stdout
+export function parseOutputs (spec, formats) {
+  return spec.split(',').map((output) => {
+    const separator = output.indexOf(':')
+    const format = separator === -1 ? output : output.slice(0, separator)
+    const destination = separator === -1 ? 'stdout' : output.slice(separator + 1)
+    if (!formats.includes(format)) {
+      throw new Error(`Invalid output format: ${format}, must be one of ${formats.join(', ')}`)
+    }
+    return { format, destination }
+  })
+}
+
+// Write each output to its destination, with console.log redirected while write(format) runs
+export function writeOutputs (outputs, write) {
+  for (const { format, destination } of outputs) {
+    let outputStream
+
+    if (destination === 'stdout') {
+      outputStream = process.stdout
+    } else {
+      outputStream = createWriteStream(destination)
+      console.error(`Writing ${format} output to ${destination}...`)
+    }
+
+    // Print to the selected output stream
+    const originalConsoleLog = console.log
+    console.log = (...args) => {
+      outputStream.write(args.join(' ') + '\n')
+    }
+    try {
+      const content = write(format)
+      if (typeof content === 'string') {
+        outputStream.write(content)
+      }
+    } finally {
+      console.log = originalConsoleLog
+    }
+
+    // Close file streams if not stdout
+    if (destination !== 'stdout') {
+      outputStream.end()
+    }
+  }
+}
+
+// Quote a CSV value if it needs it
+export function csvValue (value) {
+  if (value === null || value === undefined) {
+    return ''
+  }
+  const str = Array.isArray(value) ? value.join(' ') : String(value)
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str
+}
+
+// A console.table style set of rows as a document table, with the row keys in the first column
+export function rowsTable (rows, labelHeader = '') {
+  const entries = Object.entries(rows)
+  return {
+    type: 'table',
+    headers: [labelHeader].concat(entries.length ? Object.keys(entries[0][1]) : []),
+    rows: entries.map(([label, row]) => [label].concat(Object.values(row)))
+  }
+}
+
+// Render a report document as GitHub flavoured Markdown
+export function renderMarkdown (blocks) {
+  const inline = (part) => {
+    const text = String(typeof part === 'object' && part !== null ? part.text : part)
+    return typeof part === 'object' && part?.url ? `[${text}](${part.url})` : text
+  }
+  const cell = (value) => inline(value).replace(/\|/g, '\\|')
+
+  return (
+    blocks
+      .map((block) => {
+        switch (block.type) {
+          case 'heading':
+            return `${'#'.repeat(block.level)} ${inline(block)}`
+          case 'paragraph':
+            return block.text
+          case 'table':
+            return [
+              `| ${block.headers.map(cell).join(' | ')} |`,
+              `| ${block.headers.map(() => '---').join(' | ')} |`,
+              ...block.rows.map((row) => `| ${row.map(cell).join(' | ')} |`)
+            ].join('\n')
+          case 'list':
+            return block.items.map((item) => `- ${item.map(inline).join('')}`).join('\n')
+          default:
+            throw new Error(`Unknown block type: ${block.type}`)
+        }
+      })
+      .join('\n\n') + '\n'
+  )
+}
+
+export function escapeHtml (str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+// Render a report document as a self-contained HTML page
+export function renderHtml (blocks) {
+  const inline = (part) => {
+    const text = escapeHtml(typeof part === 'object' && part !== null ? part.text : part)
+    return typeof part === 'object' && part?.url ? `<a href="${escapeHtml(part.url)}">${text}</a>` : text
+  }
+  const title = blocks.find((block) => block.type === 'heading')?.text || 'Repository health'
+
+  const body = blocks
+    .map((block) => {
+      switch (block.type) {
+        case 'heading':
+          return `<h${block.level}>${inline(block)}</h${block.level}>`
+        case 'paragraph':
+          return `<p>${escapeHtml(block.text)}</p>`
+        case 'table':
+          return [
+            '<table>',
+            `<thead><tr>${block.headers.map((header) => `<th>${inline(header)}</th>`).join('')}</tr></thead>`,
+            '<tbody>',
+            ...block.rows.map((row) => `<tr>${row.map((value) => `<td>${inline(value)}</td>`).join('')}</tr>`),
+            '</tbody>',
+            '</table>'
+          ].join('\n')
+        case 'list':
+          return `<ul>\n${block.items.map((item) => `<li>${item.map(inline).join('')}</li>`).join('\n')}\n</ul>`
+        default:
+          throw new Error(`Unknown block type: ${block.type}`)
+      }
+    })
+    .join('\n')
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2em auto; max-width: 75em; padding: 0 1em; color: #1f2328; }
+table { border-collapse: collapse; margin: 1em 0; font-size: 0.9em; }
+th, td { border: 1px solid #d0d7de; padding: 0.3em 0.6em; text-align: right; }
+th:first-child, td:first-child { text-align: left; }
+thead th { background: #f6f8fa; }
+tbody tr:nth-child(even) { background: #f6f8fa; }
+a { color: #0969da; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`
+}
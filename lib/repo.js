@@ -0,0 +1,2554 @@
+import { readFileSync } from 'node:fs'
+import { cacheUsage, parseOptions } from './args.js'
+import { createCache, parseDuration } from './cache.js'
+import {
+  convertToRoundedHours,
+  dayNames,
+  hoursBetween,
+  parseCalendar,
+  parseDate
+} from './dates.js'
+import {
+  csvValue,
+  parseOutputs,
+  renderHtml,
+  renderMarkdown,
+  rowsTable,
+  writeOutputs
+} from './output.js'
+import {
+  averageOf,
+  calculateStatisticsByCreator,
+  calculateTrend,
+  calculateTrendPeriods,
+  round1,
+  summarizeResponseTimes
+} from './statistics.js'
+import { calculateReviewLoad } from './reviews.js'
+import { botUsage, createBotDetector, isBot, parseBotList, withoutBotEvents } from './bots.js'
+import { calculateContributorExperience, classifyContributor } from './contributors.js'
+import { calculateStalledPullRequests } from './stalled.js'
+import { calculateSizeBreakdown, sizeOf } from './sizes.js'
+import { calculateLifecycle, lifecycleStages, summarizeLifecycle } from './lifecycle.js'
+import { calculateClosures, closerOf, closerTypes } from './closures.js'
+import { calculateDrafts } from './drafts.js'
+import { renderDashboard } from './dashboard.js'
+import {
+  combineMaintainers,
+  isMaintainer,
+  parseMaintainerList,
+  readMaintainerList
+} from './maintainers.js'
+import {
+  areasOf,
+  calculateAreaBreakdown,
+  codeownersPaths,
+  parseAreaMapping,
+  parseCodeowners
+} from './areas.js'
+import {
+  calculateLabelBreakdown,
+  createLabelFilter,
+  labelFilterDescription,
+  labelNames,
+  labelUsage,
+  parseLabelList
+} from './labels.js'
+
+// The repo command: maintainer responsiveness to the PRs and issues of one or more repositories
+
+const batchSize = 100
+
+// Number of comments, reviews and timeline events fetched with each PR or issue
+const nestedBatchSize = 25
+
+// Most follow-up pages fetched for one connection of a PR or issue before it's marked truncated
+const maxFollowUpPages = 20
+
+// The connections of PRs and issues, shared by the main queries and the follow-up queries
+const itemConnections = {
+  pullRequests: {
+    comments: {
+      args: '',
+      nodes: `
+        author {
+          __typename
+          login
+        }
+        createdAt`
+    },
+    reviews: {
+      args: '',
+      nodes: `
+        author {
+          __typename
+          login
+        }
+        createdAt
+        state`
+    },
+    timelineItems: {
+      args: ', itemTypes: [CLOSED_EVENT, MERGED_EVENT, READY_FOR_REVIEW_EVENT, REVIEW_REQUESTED_EVENT, PULL_REQUEST_COMMIT, HEAD_REF_FORCE_PUSHED_EVENT]',
+      nodes: `
+        __typename
+        ... on ClosedEvent {
+          actor {
+            __typename
+            login
+          }
+          createdAt
+        }
+        ... on MergedEvent {
+          actor {
+            __typename
+            login
+          }
+          createdAt
+        }
+        ... on ReadyForReviewEvent {
+          actor {
+            __typename
+            login
+          }
+          createdAt
+        }
+        ... on ReviewRequestedEvent {
+          actor {
+            __typename
+            login
+          }
+          createdAt
+          requestedReviewer {
+            ... on User {
+              login
+            }
+          }
+        }
+        ... on PullRequestCommit {
+          commit {
+            author {
+              user {
+                login
+              }
+            }
+            committedDate
+          }
+        }
+        ... on HeadRefForcePushedEvent {
+          actor {
+            __typename
+            login
+          }
+          createdAt
+        }`
+    },
+    files: {
+      args: '',
+      nodes: `
+        path`
+    },
+    labels: {
+      args: '',
+      nodes: `
+        name`
+    }
+  },
+  issues: {
+    comments: {
+      args: '',
+      nodes: `
+        author {
+          __typename
+          login
+        }
+        createdAt`
+    },
+    timelineItems: {
+      args: ', itemTypes: [LABELED_EVENT, ASSIGNED_EVENT, CLOSED_EVENT]',
+      nodes: `
+        __typename
+        ... on LabeledEvent {
+          actor {
+            __typename
+            login
+          }
+          createdAt
+        }
+        ... on AssignedEvent {
+          actor {
+            __typename
+            login
+          }
+          createdAt
+        }
+        ... on ClosedEvent {
+          actor {
+            __typename
+            login
+          }
+          createdAt
+        }`
+    },
+    labels: {
+      args: '',
+      nodes: `
+        name`
+    }
+  }
+}
+
+// Selection of a connection, with its page info so we know if there's more to fetch
+function connectionSelection (name, { args, nodes }, first, after = '') {
+  return `
+      ${name}(first: ${first}${after}${args}) {
+        totalCount
+        nodes {${nodes}
+        }
+        pageInfo {
+          endCursor
+          hasNextPage
+        }
+      }`
+}
+
+// Selections of all of the connections of a PR or issue (field)
+function connectionSelections (field) {
+  return Object.entries(itemConnections[field])
+    .map(([name, connection]) => connectionSelection(name, connection, nestedBatchSize))
+    .join('')
+}
+
+// GraphQL query to fetch PR data, batchSize at a time, with enough information to calculate response times
+const graphqlPullRequestQuery = `
+query ($owner: String!, $repo: String!, $cursor: String, $orderField: IssueOrderField!) {
+  rateLimit {
+    cost
+  }
+  repository(owner: $owner, name: $repo) {
+    pullRequests(first: ${batchSize}, after: $cursor, orderBy: {field: $orderField, direction: DESC}) {
+      nodes {
+        number
+        createdAt
+        updatedAt
+        author {
+          __typename
+          login
+        }
+        authorAssociation
+        additions
+        deletions
+        changedFiles
+        isDraft${connectionSelections('pullRequests')}
+      }
+      pageInfo {
+        endCursor
+        hasNextPage
+      }
+    }
+  }
+}
+`
+
+// GraphQL query to fetch the PRs that are still open, whenever they were created
+const graphqlOpenPullRequestQuery = graphqlPullRequestQuery.replace(
+  'pullRequests(first:',
+  'pullRequests(states: OPEN, first:'
+)
+
+// GraphQL query to fetch issue data, batchSize at a time, with enough to calculate response times
+const graphqlIssueQuery = `
+query ($owner: String!, $repo: String!, $cursor: String, $orderField: IssueOrderField!) {
+  rateLimit {
+    cost
+  }
+  repository(owner: $owner, name: $repo) {
+    issues(first: ${batchSize}, after: $cursor, orderBy: {field: $orderField, direction: DESC}) {
+      nodes {
+        number
+        createdAt
+        updatedAt
+        author {
+          __typename
+          login
+        }${connectionSelections('issues')}
+      }
+      pageInfo {
+        endCursor
+        hasNextPage
+      }
+    }
+  }
+}
+`
+
+// GraphQL query to fetch the next page of one connection, e.g. comments, of a single PR or issue
+function graphqlFollowUpQuery (field, name) {
+  return `
+query ($owner: String!, $repo: String!, $number: Int!, $cursor: String) {
+  rateLimit {
+    cost
+  }
+  repository(owner: $owner, name: $repo) {
+    ${field === 'pullRequests' ? 'pullRequest' : 'issue'}(number: $number) {${connectionSelection(
+      name,
+      itemConnections[field][name],
+      100,
+      ', after: $cursor'
+    )}
+    }
+  }
+}
+`
+}
+
+// GraphQL query to fetch the text of a repository's CODEOWNERS file from each place it may be
+const graphqlCodeownersQuery = `
+query ($owner: String!, $repo: String!) {
+  repository(owner: $owner, name: $repo) {${codeownersPaths
+    .map(
+      (path, i) => `
+    file${i}: object(expression: "HEAD:${path}") {
+      ... on Blob {
+        text
+      }
+    }`
+    )
+    .join('')}
+  }
+}
+`
+
+// Fetch the text of a repository's CODEOWNERS file from its default branch, or null if it hasn't got one
+export async function fetchCodeowners (api, repoSpec) {
+  return api.cache.fetch(['codeowners', repoSpec.org, repoSpec.repo], async () => {
+    const data = await api.github.graphql(graphqlCodeownersQuery, {
+      owner: repoSpec.org,
+      repo: repoSpec.repo
+    })
+    const file = codeownersPaths
+      .map((path, i) => data.data.repository[`file${i}`])
+      .find((file) => file?.text !== undefined)
+    return file ? file.text : null
+  })
+}
+
+// Fetch the logins of the members of a repository's maintainer teams
+export async function fetchMaintainers (api, repoSpec) {
+  const members = await Promise.all(
+    repoSpec.maintainerTeamSlugs.map((teamSlug) => fetchTeamMembers(api, repoSpec.org, teamSlug))
+  )
+  return [...new Set(members.flat())]
+}
+
+// Fetch the logins of all of the members of a GitHub team
+export async function fetchTeamMembers (api, org, teamSlug) {
+  return api.cache.fetch(['team-members', org, teamSlug], async () => {
+    const data = await api.github.restPages(`/orgs/${org}/teams/${teamSlug}/members?per_page=100`)
+    return data.map((member) => member.login)
+  })
+}
+
+// Fetch the names of an organization's repositories other than archives and forks
+export async function fetchOrgRepos (api, org, topic, filter) {
+  const repos = await api.cache.fetch(['org-repos', org], async () => {
+    const data = await api.github.restPages(`/orgs/${org}/repos?type=sources&per_page=100`)
+    return data.map(({ name, archived, fork, topics }) => ({ name, archived, fork, topics }))
+  })
+
+  return repos
+    .filter(
+      (repo) =>
+        !repo.archived &&
+        !repo.fork &&
+        (!topic || (repo.topics || []).includes(topic)) &&
+        (!filter || filter.test(repo.name))
+    )
+    .map((repo) => repo.name)
+}
+
+// Fetch pages of PRs or issues (field), newest first, until isDone() says we're past them
+async function fetchItemPages (api, repoSpec, query, field, orderField, isDone) {
+  let items = []
+  let hasNextPage = true
+  let cursor = null
+
+  while (hasNextPage) {
+    const data = await api.github.graphql(query, {
+      owner: repoSpec.org,
+      repo: repoSpec.repo,
+      cursor,
+      orderField
+    })
+    const fetchedItems = data.data.repository[field].nodes
+    items = items.concat(fetchedItems)
+
+    const pageInfo = data.data.repository[field].pageInfo
+    hasNextPage = pageInfo.hasNextPage
+    cursor = pageInfo.endCursor
+
+    // Check the last item in the fetched batch
+    if (fetchedItems.length > 0 && isDone(fetchedItems[fetchedItems.length - 1])) {
+      break
+    }
+  }
+
+  return items
+}
+
+// Page through the connections of a PR or issue that didn't fit in the main query
+async function fetchRemainingConnections (api, repoSpec, field, item) {
+  for (const name of Object.keys(itemConnections[field])) {
+    const connection = item[name]
+    let pages = 0
+    while (connection.pageInfo.hasNextPage && pages < maxFollowUpPages) {
+      const data = await api.github.graphql(graphqlFollowUpQuery(field, name), {
+        owner: repoSpec.org,
+        repo: repoSpec.repo,
+        number: item.number,
+        cursor: connection.pageInfo.endCursor
+      })
+      const page = data.data.repository[field === 'pullRequests' ? 'pullRequest' : 'issue'][name]
+      connection.nodes = connection.nodes.concat(page.nodes)
+      connection.pageInfo = page.pageInfo
+      pages++
+    }
+    if (connection.pageInfo.hasNextPage) {
+      item.truncated = (item.truncated || []).concat(name)
+    }
+  }
+  return item
+}
+
+// Fetch the PRs or issues (field) created within the range, only those updated since the last sync
+// if the cache reaches back far enough
+async function fetchRepoItems (api, repoSpec, query, field, rangeStart, rangeEnd) {
+  // The query is part of the key so that items are fetched again when it selects something new
+  const key = ['repo-items', repoSpec.org, repoSpec.repo, field, query]
+  let stored = api.cache.mode === 'refresh' ? null : await api.cache.read(key)
+  stored = stored?.value || null
+
+  if (api.cache.mode === 'offline') {
+    if (!stored) {
+      throw new Error(
+        `No cached ${field} data for ${repoSpec.org}/${repoSpec.repo}, run without --offline first`
+      )
+    }
+    if (new Date(stored.coveredSince) > rangeStart) {
+      console.error(
+        `Warning: cached ${field} data for ${repoSpec.org}/${repoSpec.repo} only goes back to ${stored.coveredSince}`
+      )
+    }
+  } else if (!stored || new Date(stored.coveredSince) > rangeStart || !api.cache.isFresh(stored.syncedAt)) {
+    const syncStarted = new Date()
+    let fetchedItems
+    if (!stored || new Date(stored.coveredSince) > rangeStart) {
+      // Page back through everything created since the start of the range
+      fetchedItems = await fetchItemPages(
+        api,
+        repoSpec,
+        query,
+        field,
+        'CREATED_AT',
+        (item) => new Date(item.createdAt) < rangeStart
+      )
+    } else {
+      // Only what has been updated since the last sync
+      fetchedItems = await fetchItemPages(
+        api,
+        repoSpec,
+        query,
+        field,
+        'UPDATED_AT',
+        (item) => new Date(item.updatedAt) < new Date(stored.syncedAt)
+      )
+    }
+
+    const coveredSince =
+      stored && new Date(stored.coveredSince) < rangeStart ? stored.coveredSince : rangeStart.toISOString()
+    const items = stored?.items || {}
+    await Promise.all(
+      fetchedItems
+        .filter((item) => new Date(item.createdAt) >= new Date(coveredSince))
+        .map((item) => fetchRemainingConnections(api, repoSpec, field, item))
+    )
+    for (const item of fetchedItems) {
+      items[item.number] = item
+    }
+    stored = { syncedAt: syncStarted.toISOString(), coveredSince, items }
+    await api.cache.write(key, stored)
+  }
+
+  // Filter items created within the range, newest first
+  return Object.values(stored.items)
+    .filter((item) => new Date(item.createdAt) >= rangeStart && new Date(item.createdAt) <= rangeEnd)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+}
+
+// Fetch PR data from GitHub GraphQL API. PRs that are still drafts are left out unless drafts is set.
+export async function fetchPRData (api, repoSpec, rangeStart, rangeEnd, { drafts = false } = {}) {
+  const pullRequests = await fetchRepoItems(
+    api,
+    repoSpec,
+    graphqlPullRequestQuery,
+    'pullRequests',
+    rangeStart,
+    rangeEnd
+  )
+  return drafts ? pullRequests : pullRequests.filter((pr) => !pr.isDraft)
+}
+
+// Fetch every PR that is still open, drafts included, however long ago it was created
+export async function fetchOpenPRData (api, repoSpec) {
+  return api.cache.fetch(
+    ['open-pull-requests', repoSpec.org, repoSpec.repo, graphqlOpenPullRequestQuery],
+    async () => {
+      const pullRequests = await fetchItemPages(
+        api,
+        repoSpec,
+        graphqlOpenPullRequestQuery,
+        'pullRequests',
+        'CREATED_AT',
+        () => false
+      )
+      return Promise.all(
+        pullRequests.map((pr) => fetchRemainingConnections(api, repoSpec, 'pullRequests', pr))
+      )
+    }
+  )
+}
+
+// Fetch every PR, drafts included, updated since the start of the day of since
+export async function fetchUpdatedPRData (api, repoSpec, since) {
+  const key = ['updated-pull-requests', repoSpec.org, repoSpec.repo, graphqlPullRequestQuery]
+  const day = since.toISOString().slice(0, 10)
+  const stored = api.cache.mode === 'refresh' ? null : await api.cache.read(key)
+
+  if (api.cache.mode === 'offline') {
+    if (!stored) {
+      console.error(
+        `Warning: no cached updated PRs for ${repoSpec.org}/${repoSpec.repo}, only PRs created in the period are checked for being marked ready for review`
+      )
+      return []
+    }
+    if (stored.value.since > day) {
+      console.error(
+        `Warning: cached updated PRs for ${repoSpec.org}/${repoSpec.repo} only go back to ${stored.value.since}`
+      )
+    }
+    return stored.value.pullRequests
+  }
+  if (stored && stored.value.since <= day && api.cache.isFresh(stored.storedAt)) {
+    return stored.value.pullRequests
+  }
+
+  const dayStart = new Date(day)
+  const fetched = await fetchItemPages(
+    api,
+    repoSpec,
+    graphqlPullRequestQuery,
+    'pullRequests',
+    'UPDATED_AT',
+    (pr) => new Date(pr.updatedAt) < dayStart
+  )
+  const pullRequests = await Promise.all(
+    fetched
+      .filter((pr) => new Date(pr.updatedAt) >= dayStart)
+      .map((pr) => fetchRemainingConnections(api, repoSpec, 'pullRequests', pr))
+  )
+  await api.cache.write(key, { since: day, pullRequests })
+  return pullRequests
+}
+
+// GraphQL query to count the PRs an author opened in a repository before a time
+const graphqlEarlierPullRequestsQuery = `
+query ($query: String!) {
+  rateLimit {
+    cost
+  }
+  search(query: $query, type: ISSUE, first: 1) {
+    issueCount
+  }
+}
+`
+
+// Numbers of the PRs that are their author's first in the repository, which authorAssociation
+// stops saying once they've been merged
+export async function fetchFirstPullRequests (api, repoSpec, pullRequests, maintainers, isBotActor = isBot) {
+  const earliest = new Map()
+  for (const pr of pullRequests) {
+    const login = pr.author?.login
+    const first = earliest.get(login)
+    if (
+      login &&
+      ['CONTRIBUTOR', 'NONE'].includes(pr.authorAssociation) &&
+      !isBotActor(pr.author) &&
+      !isMaintainer(maintainers, login, new Date(pr.createdAt)) &&
+      (!first || new Date(pr.createdAt) < new Date(first.createdAt))
+    ) {
+      earliest.set(login, pr)
+    }
+  }
+
+  const firstPullRequests = new Set()
+  for (const [login, pr] of earliest) {
+    const count = await api.cache.fetch(
+      ['earlier-pull-requests', repoSpec.org, repoSpec.repo, login, pr.createdAt],
+      async () => {
+        const data = await api.github.graphql(graphqlEarlierPullRequestsQuery, {
+          query: `repo:${repoSpec.org}/${repoSpec.repo} is:pr author:${login} created:<${pr.createdAt}`
+        })
+        return data.data.search.issueCount
+      }
+    )
+    if (count === 0) {
+      firstPullRequests.add(pr.number)
+    }
+  }
+  return firstPullRequests
+}
+
+// Fetch issue data from GitHub GraphQL API
+export async function fetchIssueData (api, repoSpec, rangeStart, rangeEnd) {
+  return fetchRepoItems(api, repoSpec, graphqlIssueQuery, 'issues', rangeStart, rangeEnd)
+}
+
+// PR timeline events that are fetched for other reports but aren't responses
+const nonResponseEvents = ['ReviewRequestedEvent', 'PullRequestCommit', 'HeadRefForcePushedEvent']
+
+// Whether an event is a PR or issue being closed by its own author or a bot, which isn't a response
+function closedByAuthorOrBot (event, creator, isBotActor) {
+  return (
+    event.__typename === 'ClosedEvent' &&
+    ['author', 'bot'].includes(closerOf(event, creator, [], isBotActor))
+  )
+}
+
+// Calculate response times for PRs, with business hours equivalents if a calendar is supplied
+export function calculateResponseTimes (
+  pullRequests,
+  maintainers,
+  calendar = null,
+  isBotActor = isBot,
+  firstPullRequests = new Set()
+) {
+  return pullRequests.map((pr) => {
+    const prCreatedAt = new Date(pr.createdAt)
+    const creator = pr.author?.login
+
+    // In chronological order, review requests and pushes aren't responses so are left out
+    const allEvents = [
+      ...pr.comments.nodes,
+      ...pr.reviews.nodes,
+      ...pr.timelineItems.nodes.filter((event) => !nonResponseEvents.includes(event.__typename))
+    ].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+
+    // Find the ReadyForReviewEvent if it exists
+    const readyForReviewEvent = allEvents.find(
+      (event) => event.__typename === 'ReadyForReviewEvent'
+    )
+
+    // Use the ReadyForReviewEvent time as the new creation time if it exists
+    const effectiveCreatedAt = readyForReviewEvent
+      ? new Date(readyForReviewEvent.createdAt)
+      : prCreatedAt
+
+    // An "official" event is one where a known maintainer who isn't the author has responded, or
+    // the PR has been merged, or closed by someone other than its author or a bot
+    const officialEvent = allEvents.find(
+      (event) =>
+        (isMaintainer(maintainers, event.author?.login || event.actor?.login, new Date(event.createdAt)) &&
+          (event.author?.login || event.actor?.login) !== creator) ||
+        (event.__typename === 'ClosedEvent' && !closedByAuthorOrBot(event, creator, isBotActor)) ||
+        event.__typename === 'MergedEvent'
+    )
+
+    // A "non-author" event tells us that there at least weren't crickets, a bot closing it doesn't
+    const nonAuthorEvent = allEvents.find(
+      (event) =>
+        (event.author?.login || event.actor?.login) !== creator &&
+        !closedByAuthorOrBot(event, creator, isBotActor)
+    )
+
+    const resolvedEvent = allEvents.find(
+      (event) => event.__typename === 'ClosedEvent' || event.__typename === 'MergedEvent'
+    )
+
+    const firstReview = allEvents.find(
+      (event) => event.state && event.state !== 'PENDING' && event.author?.login !== creator
+    )
+    // A draft reviewed before it was ready counts as reviewed as soon as it was
+    const firstReviewAt = firstReview
+      ? new Date(Math.max(new Date(firstReview.createdAt), effectiveCreatedAt))
+      : null
+    const mergedEvent = allEvents.find((event) => event.__typename === 'MergedEvent')
+    const closedEvent = mergedEvent
+      ? null
+      : allEvents.find((event) => event.__typename === 'ClosedEvent')
+
+    // Calculate resolution time
+    const resolutionTime = resolvedEvent
+      ? convertToRoundedHours(new Date(resolvedEvent.createdAt) - effectiveCreatedAt)
+      : null
+
+    const responseTime = {
+      number: pr.number,
+      createdAt: pr.createdAt,
+      resolvedAt: resolvedEvent ? resolvedEvent.createdAt : null,
+      resolutionTime,
+      merged: !!mergedEvent,
+      closedBy: closedEvent ? closedEvent.actor?.login || null : null,
+      closer: closerOf(closedEvent, creator, maintainers, isBotActor),
+      maintainer: isMaintainer(maintainers, creator, prCreatedAt),
+      contributorClass: classifyContributor(
+        pr.author,
+        pr.authorAssociation,
+        maintainers,
+        isBotActor,
+        prCreatedAt,
+        firstPullRequests.has(pr.number)
+      ),
+      creator,
+      officialResponseHours: officialEvent
+        ? convertToRoundedHours(new Date(officialEvent.createdAt) - prCreatedAt)
+        : null,
+      nonAuthorResponseHours: nonAuthorEvent
+        ? convertToRoundedHours(new Date(nonAuthorEvent.createdAt) - prCreatedAt)
+        : null,
+      additions: pr.additions,
+      deletions: pr.deletions,
+      changedFiles: pr.changedFiles,
+      size: sizeOf(pr.additions + pr.deletions, pr.changedFiles),
+      labels: labelNames(pr),
+      firstReviewHours: hoursBetween(effectiveCreatedAt, firstReviewAt, null),
+      mergeHours: mergedEvent
+        ? convertToRoundedHours(new Date(mergedEvent.createdAt) - effectiveCreatedAt)
+        : null,
+      ...calculateLifecycle(pr, calendar)
+    }
+
+    if (calendar) {
+      const eventDate = (event) => (event ? new Date(event.createdAt) : null)
+      responseTime.officialResponseBusinessHours = hoursBetween(prCreatedAt, eventDate(officialEvent), calendar)
+      responseTime.nonAuthorResponseBusinessHours = hoursBetween(prCreatedAt, eventDate(nonAuthorEvent), calendar)
+      responseTime.resolutionBusinessHours = hoursBetween(effectiveCreatedAt, eventDate(resolvedEvent), calendar)
+      responseTime.firstReviewBusinessHours = hoursBetween(effectiveCreatedAt, firstReviewAt, calendar)
+      responseTime.mergeBusinessHours = hoursBetween(effectiveCreatedAt, eventDate(mergedEvent), calendar)
+    }
+
+    if (pr.truncated) {
+      responseTime.truncated = pr.truncated
+    }
+
+    return responseTime
+  })
+}
+
+// Calculate response times for issues, with business hours equivalents if a calendar is supplied
+export function calculateIssueResponseTimes (issues, maintainers, calendar = null, isBotActor = isBot) {
+  return issues.map((issue) => {
+    const issueCreatedAt = new Date(issue.createdAt)
+    const creator = issue.author?.login
+    const hoursSinceCreated = (event, cal = null) =>
+      hoursBetween(issueCreatedAt, event ? new Date(event.createdAt) : null, cal)
+    const eventLogin = (event) => event.author?.login || event.actor?.login
+    const byMaintainer = (event) =>
+      isMaintainer(maintainers, eventLogin(event), new Date(event.createdAt)) &&
+      eventLogin(event) !== creator
+
+    const allEvents = [...issue.comments.nodes, ...issue.timelineItems.nodes].sort(
+      (a, b) => new Date(a.createdAt) - new Date(b.createdAt)
+    )
+
+    const maintainerComment = issue.comments.nodes
+      .filter(byMaintainer)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))[0]
+
+    // Triage is the first label or assignment by someone other than the author, so not by templates
+    const triageEvent = allEvents.find(
+      (event) =>
+        (event.__typename === 'LabeledEvent' || event.__typename === 'AssignedEvent') &&
+        eventLogin(event) !== creator
+    )
+
+    const officialEvent = allEvents.find(
+      (event) =>
+        byMaintainer(event) ||
+        (event.__typename === 'ClosedEvent' && !closedByAuthorOrBot(event, creator, isBotActor))
+    )
+
+    const nonAuthorEvent = allEvents.find(
+      (event) => eventLogin(event) !== creator && !closedByAuthorOrBot(event, creator, isBotActor)
+    )
+
+    const closedEvent = allEvents.find((event) => event.__typename === 'ClosedEvent')
+
+    const responseTime = {
+      number: issue.number,
+      createdAt: issue.createdAt,
+      resolvedAt: closedEvent ? closedEvent.createdAt : null,
+      resolutionTime: hoursSinceCreated(closedEvent),
+      maintainer: isMaintainer(maintainers, creator, issueCreatedAt),
+      creator,
+      officialResponseHours: hoursSinceCreated(officialEvent),
+      maintainerCommentHours: hoursSinceCreated(maintainerComment),
+      triageHours: hoursSinceCreated(triageEvent),
+      nonAuthorResponseHours: hoursSinceCreated(nonAuthorEvent),
+      labels: labelNames(issue)
+    }
+
+    if (calendar) {
+      responseTime.officialResponseBusinessHours = hoursSinceCreated(officialEvent, calendar)
+      responseTime.maintainerCommentBusinessHours = hoursSinceCreated(maintainerComment, calendar)
+      responseTime.triageBusinessHours = hoursSinceCreated(triageEvent, calendar)
+      responseTime.nonAuthorResponseBusinessHours = hoursSinceCreated(nonAuthorEvent, calendar)
+      responseTime.resolutionBusinessHours = hoursSinceCreated(closedEvent, calendar)
+    }
+
+    if (issue.truncated) {
+      responseTime.truncated = issue.truncated
+    }
+
+    return responseTime
+  })
+}
+
+// Exit code used when a report completes but SLA compliance is below the configured minimum
+export const slaFailureExitCode = 2
+
+// Validate SLA settings, { minCompliance, targets: [{ metric, hours, contributors, kind, ... }] }
+export function parseSla (sla, calendar) {
+  const minCompliance = (value, name) => {
+    if (value === undefined || value === null) {
+      return null
+    }
+    const percent = Number(value)
+    if (isNaN(percent) || percent < 0 || percent > 100) {
+      throw new Error(`Invalid ${name}: ${value}, must be a percentage between 0 and 100`)
+    }
+    return percent
+  }
+
+  const defaultMinCompliance = minCompliance(sla.minCompliance, 'SLA minimum compliance')
+  return (sla.targets || []).map((target) => {
+    const kind = target.kind === 'issues' ? 'issues' : 'pullRequests'
+    if (target.kind !== undefined && !['prs', 'issues'].includes(target.kind)) {
+      throw new Error(`Invalid SLA kind: ${target.kind}, must be prs or issues`)
+    }
+    const fieldSpec = responseTimeFields[kind].find(({ field }) => field === target.metric)
+    if (!fieldSpec) {
+      throw new Error(
+        `Invalid SLA metric for ${target.kind || 'prs'}: ${target.metric}, must be one of ${responseTimeFields[
+          kind
+        ]
+          .map(({ field }) => field)
+          .join(', ')}`
+      )
+    }
+    const contributors = target.contributors || 'all'
+    if (!['all', 'maintainer', 'external'].includes(contributors)) {
+      throw new Error(`Invalid SLA contributors: ${contributors}, must be all, maintainer or external`)
+    }
+    const hours = Number(target.hours)
+    if (!(hours > 0)) {
+      throw new Error(`Invalid SLA hours for ${target.metric}: ${target.hours}`)
+    }
+    if (target.businessHours && !calendar) {
+      throw new Error(`SLA for ${target.metric} uses business hours but no working calendar is configured`)
+    }
+    return {
+      kind,
+      field: target.businessHours ? fieldSpec.businessField : fieldSpec.field,
+      description: `${fieldSpec.description}${target.businessHours ? ', business hours' : ''}`,
+      businessHours: !!target.businessHours,
+      contributors,
+      hours,
+      minCompliance: minCompliance(target.minCompliance, `SLA minimum compliance for ${target.metric}`) ??
+        defaultMinCompliance
+    }
+  })
+}
+
+// Maintainer team slugs given as an array or a comma-separated string
+function parseTeamSlugs (teams) {
+  return [teams || []]
+    .flat()
+    .flatMap((team) => team.split(','))
+    .map((team) => team.trim())
+    .filter(Boolean)
+}
+
+// Turn "owner/name" and maintainer team slugs, an array or comma-separated, into a repoSpec
+export function parseRepoSpec (nameWithOwner, maintainerTeams, { requireTeam = true } = {}) {
+  if (typeof nameWithOwner !== 'string' || !/^[\w.-]+\/[\w.-]+$/.test(nameWithOwner)) {
+    throw new Error(`Repository must be in owner/name format: ${nameWithOwner}`)
+  }
+  const maintainerTeamSlugs = parseTeamSlugs(maintainerTeams)
+  if (requireTeam && !maintainerTeamSlugs.length) {
+    throw new Error(
+      `No maintainer team provided for ${nameWithOwner}, use --team or "team" in the config file, or --maintainers`
+    )
+  }
+  const [org, repo] = nameWithOwner.split('/')
+  return { org, repo, maintainerTeamSlugs }
+}
+
+// Read a JSON config file, see the README for its properties
+function readConfig (file) {
+  let config
+  try {
+    config = JSON.parse(readFileSync(file, 'utf8'))
+  } catch (error) {
+    throw new Error(`Failed to read config file ${file}: ${error.message}`)
+  }
+  if (config.repos !== undefined && !Array.isArray(config.repos)) {
+    throw new Error(`Invalid config file ${file}: "repos" must be an array`)
+  }
+  return config
+}
+
+// Read the rules of a local area file, JSON or in CODEOWNERS format
+function readAreas (file) {
+  let text
+  try {
+    text = readFileSync(file, 'utf8')
+  } catch (error) {
+    throw new Error(`Failed to read area file ${file}: ${error.message}`)
+  }
+  if (!file.endsWith('.json')) {
+    return parseCodeowners(text)
+  }
+  try {
+    return parseAreaMapping(JSON.parse(text))
+  } catch (error) {
+    throw new Error(`Invalid area file ${file}: ${error.message}`)
+  }
+}
+
+function parseArgs (args) {
+  const { options, positionals, cacheOptions } = parseOptions(args, {
+    valueOptions: [
+      '--org',
+      '--topic',
+      '--filter',
+      '--team',
+      '--since',
+      '--until',
+      '--config',
+      '--only',
+      '--time-zone',
+      '--working-days',
+      '--working-hours',
+      '--holidays',
+      '--sla-min-compliance',
+      '--trend',
+      '--retention-window',
+      '--stale-after',
+      '--areas',
+      '--maintainers',
+      '--bots',
+      '--output'
+    ],
+    repeatable: ['--repo', '--sla', '--label', '--exclude-label'],
+    flags: ['--business-hours', '--include-bots']
+  })
+  if (positionals.length) {
+    throw new Error(`Invalid argument: ${positionals[0]}`)
+  }
+
+  // --repo may be repeated and/or comma-separated
+  const repos = (options.repo || []).flatMap((repo) => repo.split(',')).filter(Boolean)
+  // --sla is <metric>:<hours>[:<contributors>], may be repeated
+  const slaTargets = (options.sla || []).map((spec) => {
+    const [metric, hours, contributors] = spec.split(':')
+    return { metric, hours, contributors }
+  })
+
+  const config = options.config ? readConfig(options.config) : {}
+  const team = options.team || config.team
+
+  // The allow-list is a file, or a list in the config file
+  const maintainersOption = options.maintainers || config.maintainers
+  const maintainerList = !maintainersOption
+    ? []
+    : typeof maintainersOption === 'string'
+      ? readMaintainerList(maintainersOption)
+      : parseMaintainerList(maintainersOption)
+  const requireTeam = !maintainerList.length
+
+  let repoSpecs = []
+  if (repos.length) {
+    repoSpecs = repos.map((repo) => parseRepoSpec(repo, team, { requireTeam }))
+  } else if (config.repos?.length) {
+    repoSpecs = config.repos.map((spec) => parseRepoSpec(spec.repo, spec.team || team, { requireTeam }))
+  }
+
+  // Whole-organization reports are expanded into repoSpecs once we can talk to the API
+  let orgSpec = null
+  const org = options.org || (repos.length ? null : config.org)
+  if (org) {
+    if (!/^[\w.-]+$/.test(org)) {
+      throw new Error(`Invalid organization name: ${org}`)
+    }
+    if (requireTeam && !parseTeamSlugs(team).length) {
+      throw new Error(
+        `No maintainer team provided for ${org}, use --team or "team" in the config file, or --maintainers`
+      )
+    }
+    const filter = options.filter || config.filter
+    let filterRegExp = null
+    if (filter) {
+      try {
+        filterRegExp = new RegExp(filter)
+      } catch (error) {
+        throw new Error(`Invalid --filter regular expression: ${error.message}`)
+      }
+    }
+    orgSpec = {
+      org,
+      topic: options.topic || config.topic || null,
+      filter: filterRegExp,
+      maintainerTeamSlugs: parseTeamSlugs(team)
+    }
+  } else if (options.topic || options.filter) {
+    throw new Error('--topic and --filter can only be used with --org')
+  }
+
+  if (!repoSpecs.length && !orgSpec) {
+    throw new Error(
+      `Usage: repo-health repo --repo <owner/name>[,<owner/name>...] --team <team-slug> [options]
+       repo-health repo --org <owner> --team <team-slug> [--topic <topic>] [--filter <regex>] [options]
+       repo-health repo --config <file> [options]
+
+Options:
+  --repo <owner/name>        Repository to analyze, may be repeated or comma-separated
+  --org <owner>              Analyze every repository in an organization, archived
+                             repositories and forks are skipped
+  --topic <topic>            With --org, only repositories with this topic
+  --filter <regex>           With --org, only repositories whose name matches
+  --team <team-slug>         Maintainer team whose members make "official" responses, may be
+                             comma-separated for several teams
+  --maintainers <file>       JSON list of maintainers, logins or { "login", "from", "to" } entries
+                             with YYYY-MM-DD dates, in addition to or instead of --team
+  --since <date>             Start of the period to analyze (default: 1 month before --until)
+  --until <date>             End of the period to analyze (default: 5d)
+  --config <file>            JSON config file holding one or more repository specs
+  --only <prs|issues>        Only report on pull requests or issues (default: both)
+  --trend <weekly|monthly>   Report how response times change across weekly or monthly periods
+                             instead of individual PRs and issues (default --since: 12 weeks or
+                             6 months before --until)
+  --retention-window <duration>
+                             How long after --until to look for first-time contributors' next PR,
+                             e.g. 14d (default: 30d, never beyond now)
+  --stale-after <duration>   How long an open PR that has had a maintainer response can go without
+                             activity before it's reported as stalled, e.g. 7d (default: 14d)
+  --areas <codeowners|file>  Break PR response times down by area, the owners of the files each PR
+                             changes, from each repository's CODEOWNERS file or a local file in
+                             CODEOWNERS format or a .json mapping of area names to paths
+  --output <format:dest>     Specify output format and destination
+                             Multiple outputs can be comma-separated
+
+Formats:
+  - console[:filename]       Console format (default if no format specified)
+  - json[:filename]          JSON format, the full report for further processing
+  - csv[:filename]           CSV format, one row per PR and issue
+  - markdown[:filename]      Markdown summary, suitable for a GitHub issue or discussion
+  - html[:filename]          Self-contained HTML report
+  - dashboard[:filename]     Self-contained interactive HTML dashboard with charts and sortable,
+                             filterable tables
+
+${labelUsage}
+
+${botUsage}
+
+${cacheUsage}
+
+Business hours:
+  --business-hours           Also report response times counting only working hours
+  --time-zone <tz>           IANA time zone of the working calendar (default: UTC)
+  --working-days <days>      Working days, e.g. mon-fri or sun-thu or mon,wed,fri (default: mon-fri)
+  --working-hours <range>    Working hours, e.g. 9-17 or 8:30-16:30 (default: 9-17)
+  --holidays <dates>         Comma-separated YYYY-MM-DD dates that aren't worked
+                             Any of these implies --business-hours
+
+SLA targets:
+  --sla <metric>:<hours>[:<contributors>]
+                             Target for a PR response time metric, e.g. officialResponseHours:48:external
+                             contributors is all (default), maintainer or external, may be repeated
+  --sla-min-compliance <percent>
+                             Exit with code ${slaFailureExitCode} if compliance with any target is below this
+
+Dates:
+  - YYYY-MM-DD               An absolute date, --until includes the whole day
+  - <n>d, <n>w, <n>m         Days, weeks or months before now
+
+Config file:
+  {
+    "since": "30d",
+    "until": "5d",
+    "team": "default-team-slug",
+    "maintainers": ["alice", { "login": "bob", "to": "2024-06-30" }],
+    "repos": [
+      { "repo": "filecoin-project/lotus", "team": ["lotus-maintainers", "lotus-reviewers"] },
+      { "repo": "filecoin-project/lotus-docs" }
+    ],
+    "org": "filecoin-project",
+    "topic": "filecoin",
+    "filter": "^lotus",
+    "calendar": {
+      "timeZone": "Europe/Berlin",
+      "days": "mon-fri",
+      "hours": "9-17",
+      "holidays": ["2024-12-25", "2024-12-26"]
+    },
+    "sla": {
+      "minCompliance": 90,
+      "targets": [
+        { "metric": "officialResponseHours", "hours": 48, "contributors": "external" },
+        { "metric": "officialResponseHours", "hours": 16, "businessHours": true },
+        { "metric": "triageHours", "hours": 72, "kind": "issues", "minCompliance": 75 }
+      ]
+    }
+  }
+
+Examples:
+  repo-health repo --repo filecoin-project/lotus --team lotus-maintainers
+  repo-health repo --repo filecoin-project/lotus --team lotus-maintainers --since 2024-01-01 --until 2024-01-31
+  repo-health repo --repo filecoin-project/lotus --team lotus-maintainers --since 60d --until 30d
+  repo-health repo --repo filecoin-project/lotus,filecoin-project/boost --team lotus-maintainers
+  repo-health repo --org filecoin-project --team lotus-maintainers --filter "^lotus"
+  repo-health repo --repo filecoin-project/lotus --team lotus-maintainers,lotus-reviewers --maintainers maintainers.json
+  repo-health repo --repo filecoin-project/lotus --team lotus-maintainers --business-hours --time-zone America/New_York
+  repo-health repo --repo filecoin-project/lotus --team lotus-maintainers --sla officialResponseHours:48:external --sla-min-compliance 90
+  repo-health repo --repo filecoin-project/lotus --team lotus-maintainers --trend monthly --since 2024-01-01
+  repo-health repo --repo filecoin-project/lotus --team lotus-maintainers --output "markdown:report.md,csv:prs.csv"
+  repo-health repo --config repos.json --since 2w --only issues`
+    )
+  }
+
+  if (options.only && !['prs', 'issues'].includes(options.only)) {
+    throw new Error(`Invalid --only value: ${options.only}`)
+  }
+  const include = {
+    pullRequests: options.only !== 'issues',
+    issues: options.only !== 'prs'
+  }
+
+  // Any of the calendar options, or a calendar in the config file, switches on business hours
+  let calendar = null
+  if (
+    options.businessHours ||
+    options.timeZone ||
+    options.workingDays ||
+    options.workingHours ||
+    options.holidays ||
+    config.calendar
+  ) {
+    const calendarConfig = config.calendar || {}
+    calendar = parseCalendar({
+      timeZone: options.timeZone || calendarConfig.timeZone,
+      days: options.workingDays || calendarConfig.days,
+      hours: options.workingHours || calendarConfig.hours,
+      holidays: options.holidays || calendarConfig.holidays
+    })
+  }
+
+  const sla = parseSla(
+    {
+      minCompliance: options.slaMinCompliance ?? config.sla?.minCompliance,
+      targets: slaTargets.length ? slaTargets : config.sla?.targets
+    },
+    calendar
+  )
+
+  const until = options.until || config.until
+  const rangeEnd = until ? parseDate(until, '--until', true) : parseDate('5d', '--until')
+
+  const trend = options.trend || config.trend || null
+  if (trend && !['weekly', 'monthly'].includes(trend)) {
+    throw new Error(`Invalid --trend interval: ${trend}, must be weekly or monthly`)
+  }
+
+  const since = options.since || config.since
+  const rangeStart = since
+    ? parseDate(since, '--since')
+    : (() => {
+        // 1 month before the end of the range, or 12 weeks or 6 months for a trend
+        const date = new Date(rangeEnd)
+        if (trend === 'weekly') {
+          date.setDate(rangeEnd.getDate() - 12 * 7)
+        } else {
+          date.setMonth(rangeEnd.getMonth() - (trend === 'monthly' ? 6 : 1))
+        }
+        return date
+      })()
+
+  if (rangeStart >= rangeEnd) {
+    throw new Error('--since must be before --until')
+  }
+
+  const retentionWindow = parseDuration(options.retentionWindow || config.retentionWindow || '30d')
+  const staleAfter = parseDuration(options.staleAfter || config.staleAfter || '14d')
+
+  // 'codeowners' for each repository's own CODEOWNERS file, or a local file or config mapping
+  let areas = options.areas || config.areas || null
+  if (areas && typeof areas === 'object') {
+    areas = parseAreaMapping(areas)
+  } else if (areas && areas !== 'codeowners') {
+    areas = readAreas(areas)
+  }
+
+  const labels = {
+    include: parseLabelList(options.label || config.labels),
+    exclude: parseLabelList(options.excludeLabel || config.excludeLabels)
+  }
+
+  const bots = {
+    ignore: parseBotList(options.bots || config.bots),
+    include: !!(options.includeBots || config.includeBots)
+  }
+
+  const outputs = parseOutputs(options.output || config.output || 'console', outputFormats)
+
+  return {
+    repoSpecs,
+    orgSpec,
+    include,
+    calendar,
+    sla,
+    trend,
+    retentionWindow,
+    staleAfter,
+    areas,
+    maintainerList,
+    labels,
+    bots,
+    outputs,
+    cacheOptions,
+    rangeStart,
+    rangeEnd
+  }
+}
+
+// Check a set of response times against an SLA target, items without a response are pending until
+// the target has passed, or skipped if they were closed without one
+export function evaluateSla (responseTimes, target, calendar, now = new Date()) {
+  const result = { target, met: 0, pending: 0, breaches: [], compliance: null, failed: false }
+
+  for (const rt of responseTimes) {
+    if (
+      (target.contributors === 'maintainer' && !rt.maintainer) ||
+      (target.contributors === 'external' && rt.maintainer)
+    ) {
+      continue
+    }
+    const value = rt[target.field]
+    if (value !== null) {
+      if (value <= target.hours) {
+        result.met++
+      } else {
+        result.breaches.push({ responseTime: rt, hours: value, responded: true })
+      }
+    } else if (rt.resolvedAt === null) {
+      const elapsed = hoursBetween(new Date(rt.createdAt), now, target.businessHours ? calendar : null)
+      if (elapsed > target.hours) {
+        result.breaches.push({ responseTime: rt, hours: elapsed, responded: false })
+      } else {
+        result.pending++
+      }
+    }
+  }
+
+  const measured = result.met + result.breaches.length
+  if (measured) {
+    result.compliance = round1((result.met / measured) * 100)
+    result.failed = target.minCompliance !== null && result.compliance < target.minCompliance
+  }
+  return result
+}
+
+// Statistics and histograms of the given fields, as rows keyed by label ready for console.table
+function statisticsRows (responseTimes, fields) {
+  const groupNames = { all: 'all', maintainer: 'maintainers', nonMaintainer: 'non-maintainers' }
+  const statistics = calculateStatisticsByCreator(responseTimes, Object.keys(fields))
+  const summaryRows = {}
+  const histogramRows = {}
+
+  for (const [field, description] of Object.entries(fields)) {
+    for (const [group, stats] of Object.entries(statistics[field])) {
+      const key = `${description} (${groupNames[group]})`
+      const { histogram, ...rest } = stats
+      summaryRows[key] = Object.fromEntries(
+        Object.entries(rest).map(([name, value]) => [name, value ?? '-'])
+      )
+      histogramRows[key] = histogram
+    }
+  }
+
+  return { summaryRows, histogramRows }
+}
+
+// Print distribution statistics and histograms of the given fields (a map of field to description)
+function printStatistics (responseTimes, fields) {
+  const { summaryRows, histogramRows } = statisticsRows(responseTimes, fields)
+  console.log('\nResponse time distribution (hours), by creator:')
+  console.table(summaryRows)
+  console.log('Response time histogram, by creator:')
+  console.table(histogramRows)
+}
+
+// The response time fields reported for PRs and issues, with their business hours equivalents
+const responseTimeFields = {
+  pullRequests: [
+    {
+      field: 'officialResponseHours',
+      businessField: 'officialResponseBusinessHours',
+      description: 'Official response',
+      averageLabel: 'Average official response time'
+    },
+    {
+      field: 'nonAuthorResponseHours',
+      businessField: 'nonAuthorResponseBusinessHours',
+      description: 'Non-author response'
+    },
+    {
+      field: 'resolutionTime',
+      businessField: 'resolutionBusinessHours',
+      description: 'Resolution',
+      averageLabel: 'Average resolution time'
+    }
+  ],
+  issues: [
+    {
+      field: 'officialResponseHours',
+      businessField: 'officialResponseBusinessHours',
+      description: 'Official response',
+      averageLabel: 'Average official response time'
+    },
+    {
+      field: 'maintainerCommentHours',
+      businessField: 'maintainerCommentBusinessHours',
+      description: 'First maintainer comment',
+      averageLabel: 'Average time to first maintainer comment'
+    },
+    {
+      field: 'triageHours',
+      businessField: 'triageBusinessHours',
+      description: 'First label or assignment',
+      averageLabel: 'Average time to first label or assignment'
+    },
+    {
+      field: 'nonAuthorResponseHours',
+      businessField: 'nonAuthorResponseBusinessHours',
+      description: 'Non-author response'
+    },
+    {
+      field: 'resolutionTime',
+      businessField: 'resolutionBusinessHours',
+      description: 'Close',
+      averageLabel: 'Average time to close'
+    }
+  ]
+}
+
+// The fields to show statistics for, including business hours equivalents if there's a calendar
+function statisticsFieldsFor (kind, calendar) {
+  const fields = {}
+  for (const { field, businessField, description } of responseTimeFields[kind]) {
+    fields[field] = description
+    if (calendar) {
+      fields[businessField] = `${description}, business hours`
+    }
+  }
+  return fields
+}
+
+// A login as @login, or as GitHub shows deleted accounts
+function userName (login) {
+  return login ? `@${login}` : '@ghost'
+}
+
+// Link to a PR or issue (kind) on GitHub
+function itemUrl (repoSpec, kind, number) {
+  return `https://github.com/${repoSpec.org}/${repoSpec.repo}/${kind === 'issues' ? 'issues' : 'pull'}/${number}`
+}
+
+// Description of the connections that were too large to fetch completely for a PR or issue
+function truncatedDescription (truncated) {
+  const names = { timelineItems: 'timeline events', files: 'changed files' }
+  return truncated.map((name) => names[name] || name).join(' and ')
+}
+
+// Print the response times for the PRs or issues (kind) of a single repository
+function printResponseTimes (repoSpec, responseTimes, kind, calendar) {
+  console.log('[\n' + responseTimes.map((rt) => JSON.stringify(rt)).join(',\n') + '\n]')
+
+  responseTimes
+    .filter((rt) => rt.officialResponseHours === null)
+    .forEach((cricket) => {
+      console.log(
+        `${itemUrl(repoSpec, kind, cricket.number)} created by ${userName(cricket.creator)} on ${cricket.createdAt} has had no official response`
+      )
+    })
+
+  responseTimes
+    .filter((rt) => rt.truncated)
+    .forEach((rt) => {
+      console.log(
+        `${itemUrl(repoSpec, kind, rt.number)} has too many ${truncatedDescription(rt.truncated)} to fetch completely, its response times may be inaccurate`
+      )
+    })
+
+  for (const { field, businessField, averageLabel } of responseTimeFields[kind]) {
+    if (averageLabel) {
+      console.log(
+        `${averageLabel}: ${averageOf(responseTimes, field) ?? '-'} hours${
+          calendar ? ` (${averageOf(responseTimes, businessField) ?? '-'} business hours)` : ''
+        }`
+      )
+    }
+  }
+  printStatistics(responseTimes, statisticsFieldsFor(kind, calendar))
+}
+
+// Short description of an SLA target
+function slaTargetName (target) {
+  const contributorNames = { all: 'all', maintainer: 'maintainers', external: 'external' }
+  return `${target.kind === 'issues' ? 'Issue' : 'PR'} ${target.description.toLowerCase()} <= ${
+    target.hours
+  }h (${contributorNames[target.contributors]})`
+}
+
+// Compliance with each SLA target, as rows keyed by target ready for console.table
+function slaRows (slaResults) {
+  return Object.fromEntries(
+    slaResults.map((result) => [
+      slaTargetName(result.target),
+      {
+        Met: result.met,
+        Breached: result.breaches.length,
+        Pending: result.pending,
+        'Compliance (%)': result.compliance ?? '-',
+        'Minimum (%)': result.target.minCompliance ?? '-',
+        Status:
+          result.target.minCompliance === null || result.compliance === null
+            ? '-'
+            : result.failed
+              ? 'FAIL'
+              : 'PASS'
+      }
+    ])
+  )
+}
+
+// Print compliance with each SLA target, listing every PR or issue that breached it
+function printSlaResults (repoSpec, slaResults) {
+  console.log('\nSLA compliance:')
+  console.table(slaRows(slaResults))
+
+  for (const result of slaResults) {
+    for (const { responseTime, hours, responded } of result.breaches) {
+      console.log(
+        `${itemUrl(repoSpec, result.target.kind, responseTime.number)} created by @${
+          responseTime.creator
+        } on ${responseTime.createdAt} breached ${slaTargetName(result.target)}: ${
+          responded ? `took ${hours}h` : `none after ${hours}h`
+        }`
+      )
+    }
+  }
+}
+
+// Headline numbers per period with the change from the previous one, ready for console.table
+function trendRows (trend, kind) {
+  const columns = {
+    total: kind === 'issues' ? 'Issues' : 'PRs',
+    crickets: 'No official response',
+    averageOfficialResponseHours: 'Avg official response (h)',
+    medianOfficialResponseHours: 'Median official response (h)',
+    averageResolutionHours: kind === 'issues' ? 'Avg close (h)' : 'Avg resolution (h)',
+    medianResolutionHours: kind === 'issues' ? 'Median close (h)' : 'Median resolution (h)'
+  }
+
+  const rows = {}
+  trend.forEach(({ start, partial, summary }, idx) => {
+    const previous = idx > 0 ? trend[idx - 1].summary : null
+    const row = {}
+    for (const [key, column] of Object.entries(columns)) {
+      const value = summary[key]
+      if (value === null) {
+        row[column] = '-'
+      } else if (previous === null || previous[key] === null || previous[key] === value) {
+        row[column] = value
+      } else {
+        const change = round1(value - previous[key])
+        row[column] = `${value} (${change > 0 ? '▲' : '▼'} ${round1(Math.abs(change))})`
+      }
+    }
+    rows[`${start.toISOString().slice(0, 10)}${partial ? ' (partial)' : ''}`] = row
+  })
+  return rows
+}
+
+const trendDescription =
+  'Trend by period start, ▲/▼ marks the change from the previous period (lower times are better)'
+
+// Print a table of headline numbers per period for PRs or issues (kind)
+function printTrend (trend, kind) {
+  console.log(`${trendDescription}:`)
+  console.table(trendRows(trend, kind))
+}
+
+// One-line description of how many open PRs have stalled and whose court they're in
+function stalledSummaryLine (stalled) {
+  return `${stalled.pullRequests.length} of ${stalled.openPullRequests} open PRs stalled after a maintainer response, with no activity for ${stalled.staleAfterDays}+ days: ${stalled.waitingOnMaintainers} waiting on maintainers, ${stalled.waitingOnAuthor} waiting on their author (likely abandoned)`
+}
+
+// Print the stalled PRs of a repository, each with whose court the ball is in and for how long
+function printStalled (repoSpec, stalled) {
+  console.log(`\n${stalledSummaryLine(stalled)}`)
+  for (const pr of stalled.pullRequests) {
+    console.log(
+      `${itemUrl(repoSpec, 'pullRequests', pr.number)} by ${userName(pr.creator)} waiting on ${
+        pr.waitingOn === 'author' ? 'the author' : 'maintainers'
+      } (${pr.reason}), idle for ${pr.idleDays} days since ${pr.lastActivityAt}`
+    )
+  }
+}
+
+// One-line description of the PRs still in draft and those marked ready for review in the period
+function draftsSummaryLine (drafts) {
+  const { total, maintainer, engaged, closed, converted } = drafts
+  return `${total} PRs still in draft, ${maintainer} by maintainers and ${engaged} with comments or reviews from others${
+    closed ? `, and ${closed} closed while in draft` : ''
+  }. ${
+    converted.total
+  } PRs marked ready for review in the period${
+    converted.total
+      ? `, after a median of ${converted.medianDraftHours} hours in draft (90th percentile ${converted.p90DraftHours})`
+      : ''
+  }`
+}
+
+// Description of a draft PR's author, age and engagement
+function draftDescription (draft) {
+  return `by ${userName(draft.creator)}${draft.maintainer ? ' (maintainer)' : ''}, ${draft.ageDays} days old${
+    draft.closed ? ', closed' : ''
+  }, ${
+    draft.engaged
+      ? `engaged with by ${draft.engagedBy.map((login) => `@${login}`).join(', ')}`
+      : 'no engagement from others'
+  }`
+}
+
+// Print the PRs still in draft and how many were marked ready for review in the period
+function printDrafts (repoSpec, drafts) {
+  console.log(`\n${draftsSummaryLine(drafts)}`)
+  for (const draft of drafts.pullRequests) {
+    console.log(`${itemUrl(repoSpec, 'pullRequests', draft.number)} ${draftDescription(draft)}`)
+  }
+}
+
+// Reviews by each reviewer, as rows keyed by reviewer ready for console.table
+function reviewRows (reviewLoad, calendar) {
+  return Object.fromEntries(
+    reviewLoad.reviewers.map((stats) => {
+      const row = {
+        Maintainer: stats.maintainer ? 'yes' : 'no',
+        Reviews: stats.reviews,
+        'PRs reviewed': stats.prsReviewed,
+        Approved: stats.approved,
+        'Changes requested': stats.changesRequested,
+        Commented: stats.commented,
+        Dismissed: stats.dismissed,
+        Requested: stats.requests,
+        'Requested, not reviewed': stats.requestsNotReviewed,
+        'Request to review, median (h)': stats.requestToReviewHours.median ?? '-'
+      }
+      if (calendar) {
+        row['Request to review, median (business h)'] =
+          stats.requestToReviewBusinessHours.median ?? '-'
+      }
+      return [`@${stats.login}`, row]
+    })
+  )
+}
+
+// One-line descriptions of how concentrated reviewing is and how long requested reviews take
+function reviewSummaryLines (reviewLoad, calendar) {
+  const { totalReviews, reviewers, concentration, requestToReviewHours } = reviewLoad
+  const lines = [
+    `${totalReviews} reviews by ${reviewers.filter((stats) => stats.reviews).length} reviewers${
+      totalReviews
+        ? `, ${concentration.topReviewerShare}% by the busiest reviewer and ${concentration.topTwoReviewersShare}% by the busiest two, bus factor ${concentration.busFactor} (fewest reviewers doing over half of the reviews)`
+        : ''
+    }`
+  ]
+  if (requestToReviewHours.count) {
+    lines.push(
+      `Review request to review by the requested reviewer: median ${requestToReviewHours.median} hours, 90th percentile ${
+        requestToReviewHours.p90
+      } hours${
+        calendar ? ` (${reviewLoad.requestToReviewBusinessHours.median} and ${reviewLoad.requestToReviewBusinessHours.p90} business hours)` : ''
+      }, over ${requestToReviewHours.count} requests`
+    )
+  }
+  return lines
+}
+
+// Print the review load of a repository's PRs
+function printReviewLoad (reviewLoad, calendar) {
+  console.log('\nReview load, reviews of PRs other than by their author:')
+  if (reviewLoad.reviewers.length) {
+    console.table(reviewRows(reviewLoad, calendar))
+  }
+  for (const line of reviewSummaryLines(reviewLoad, calendar)) {
+    console.log(line)
+  }
+}
+
+// Experience of each class of contributor, as rows keyed by class ready for console.table
+function contributorRows (contributors) {
+  // Bots are usually excluded, so only have a row if there are any
+  return Object.fromEntries(
+    Object.entries(contributors.classes)
+      .filter(([contributorClass, stats]) => contributorClass !== 'bot' || stats.pullRequests)
+      .map(([, stats]) => [
+        stats.description,
+        {
+          PRs: stats.pullRequests,
+          Authors: stats.authors,
+          'No official response': stats.crickets,
+          'Avg official response (h)': stats.averageOfficialResponseHours ?? '-',
+          'Median official response (h)': stats.medianOfficialResponseHours ?? '-',
+          'Median resolution (h)': stats.medianResolutionHours ?? '-',
+          Merged: stats.merged,
+          'Closed unmerged': stats.closedUnmerged,
+          'Merge rate (%)': stats.mergeRate ?? '-'
+        }
+      ])
+  )
+}
+
+// One-line description of how many first-time contributors came back with another PR
+function retentionLine (contributors) {
+  const { firstTimeContributors, returned, rate, until } = contributors.retention
+  return `${firstTimeContributors} first-time contributors, ${returned}${
+    rate === null ? '' : ` (${rate}%)`
+  } opened another PR by ${until.slice(0, 10)}`
+}
+
+// Print the experience of each class of contributor and first-time contributor retention
+function printContributors (contributors) {
+  console.log('\nContributors, by class of PR author:')
+  console.table(contributorRows(contributors))
+  console.log(retentionLine(contributors))
+}
+
+// One-line description of how many resolved PRs were merged or closed, and by whom
+function closuresSummaryLine (closures) {
+  const { resolved, merged, closedUnmerged, mergeRate, medianMergeHours, medianCloseHours, closedBy } =
+    closures
+  return `${resolved} PRs resolved, ${merged} merged${
+    merged ? ` after a median of ${medianMergeHours} hours` : ''
+  } and ${closedUnmerged} closed without merging${
+    closedUnmerged ? ` after a median of ${medianCloseHours} hours` : ''
+  }${mergeRate === null ? '' : `, a merge rate of ${mergeRate}%`}. Closed by the author: ${
+    closedBy.author
+  }, by maintainers: ${closedBy.maintainer}, by bots: ${closedBy.bot}, by someone else: ${closedBy.other}`
+}
+
+// Merged and closed PRs of each class of contributor, as rows keyed by class ready for console.table
+function closureRows (closures) {
+  return Object.fromEntries(
+    Object.values(closures.classes)
+      .filter((stats) => stats.resolved)
+      .map((stats) => [
+        stats.description,
+        {
+          Resolved: stats.resolved,
+          Merged: stats.merged,
+          'Closed unmerged': stats.closedUnmerged,
+          'Merge rate (%)': stats.mergeRate ?? '-',
+          ...Object.fromEntries(
+            Object.entries(closerTypes).map(([closer, description]) => [
+              `Closed by ${description.toLowerCase()}`,
+              stats.closedBy[closer]
+            ])
+          )
+        }
+      ])
+  )
+}
+
+// Description of who closed a PR without merging it
+function closedDescription (pr) {
+  return `by ${userName(pr.creator)}, closed by ${userName(pr.closedBy)} (${closerTypes[
+    pr.closer
+  ].toLowerCase()}) after ${pr.resolutionTime} hours`
+}
+
+// Print how many PRs were merged or closed without merging, and who closed them
+function printClosures (repoSpec, closures) {
+  console.log(`\n${closuresSummaryLine(closures)}`)
+  if (closures.resolved) {
+    console.table(closureRows(closures))
+  }
+  for (const pr of closures.pullRequests) {
+    console.log(`${itemUrl(repoSpec, 'pullRequests', pr.number)} ${closedDescription(pr)}`)
+  }
+}
+
+// Review and merge times of each size of PR, as rows keyed by size ready for console.table
+function sizeRows (sizes, calendar) {
+  return Object.fromEntries(
+    sizes.map((bucket) => {
+      const row = {
+        'Up to': bucket.maxLines === null ? 'anything larger' : `${bucket.maxLines} lines, ${bucket.maxFiles} files`,
+        PRs: bucket.pullRequests,
+        Merged: bucket.merged,
+        'Median lines changed': bucket.medianLinesChanged ?? '-',
+        'Median first review (h)': bucket.medianFirstReviewHours ?? '-',
+        'Median merge (h)': bucket.medianMergeHours ?? '-'
+      }
+      if (calendar) {
+        row['Median first review (business h)'] = bucket.medianFirstReviewBusinessHours ?? '-'
+        row['Median merge (business h)'] = bucket.medianMergeBusinessHours ?? '-'
+      }
+      return [bucket.size, row]
+    })
+  )
+}
+
+// Print the review and merge times of each size of PR
+function printSizes (sizes, calendar) {
+  console.log('\nPR size, by lines and files changed, against time to first review and merge:')
+  console.table(sizeRows(sizes, calendar))
+}
+
+// Time spent in each stage of the PR lifecycle, as rows keyed by stage ready for console.table
+function lifecycleRows (lifecycle, calendar) {
+  return Object.fromEntries(
+    lifecycle.stages.map((stage) => {
+      const row = {
+        PRs: stage.count,
+        'Median (h)': stage.median ?? '-',
+        '90th percentile (h)': stage.p90 ?? '-',
+        'Share of merged PR time (%)': stage.shareOfMergedTime ?? '-'
+      }
+      if (calendar) {
+        row['Median (business h)'] = stage.businessMedian ?? '-'
+        row['90th percentile (business h)'] = stage.businessP90 ?? '-'
+      }
+      return [stage.description, row]
+    })
+  )
+}
+
+// One-line description of how much back and forth there is in review
+function reviewRoundsLine (lifecycle) {
+  const { reviewedPullRequests, withChangesRequested, average, max } = lifecycle.reviewRounds
+  return `${withChangesRequested} of ${reviewedPullRequests} reviewed PRs had changes requested, ${
+    average ?? '-'
+  } rounds on average and at most ${max ?? '-'}. Shares of time are across the ${
+    lifecycle.mergedPullRequests
+  } merged PRs that were reviewed and approved`
+}
+
+// Print the time spent in each stage of the PR lifecycle and the number of review rounds
+function printLifecycle (lifecycle, calendar) {
+  console.log('\nPR lifecycle, time in each stage:')
+  console.table(lifecycleRows(lifecycle, calendar))
+  console.log(reviewRoundsLine(lifecycle))
+}
+
+// Response times of each area, as rows keyed by area ready for console.table
+function areaRows (areas) {
+  return Object.fromEntries(areas.map(({ area, ...summary }) => [area, summaryRow(summary, 'pullRequests')]))
+}
+
+// Print the response times of each area, PRs changing the files of several areas count for each
+function printAreas (areas) {
+  console.log('\nPR response times by area, the owners of the changed files:')
+  console.table(areaRows(areas))
+}
+
+// Response times of the PRs or issues with each label, ready for console.table
+function labelRows (responseTimes, kind) {
+  return Object.fromEntries(
+    calculateLabelBreakdown(responseTimes).map(({ label, ...summary }) => [label, summaryRow(summary, kind)])
+  )
+}
+
+// Print the response times of the PRs or issues (kind) with each label
+function printLabels (responseTimes, kind) {
+  console.log(`\n${kind === 'issues' ? 'Issue' : 'PR'} response times by label:`)
+  console.table(labelRows(responseTimes, kind))
+}
+
+// One-line description of the PRs and issues left out as they were opened by bots, or null
+function excludedBotsLine (report) {
+  const { included, pullRequests, issues } = report.bots
+  if (included || (!pullRequests && !issues)) {
+    return null
+  }
+  const counts = []
+  if (report.pullRequests) {
+    counts.push(`${pullRequests} PRs`)
+  }
+  if (report.issues) {
+    counts.push(`${issues} issues`)
+  }
+  return `Excluded ${counts.join(' and ')} opened by bots, bots' comments, reviews and events are also ignored (use --include-bots to include them)`
+}
+
+// Who a repository's maintainers are, from its teams and/or the maintainer list
+function maintainersDescription (report) {
+  const { org, maintainerTeamSlugs } = report.repoSpec
+  const parts = []
+  if (maintainerTeamSlugs.length) {
+    parts.push(`members of ${maintainerTeamSlugs.map((slug) => `@${org}/${slug}`).join(', ')}`)
+  }
+  if (report.listedMaintainers) {
+    parts.push(`the ${report.listedMaintainers} maintainers on the maintainer list, while they were maintainers`)
+  }
+  return parts.join(' and ')
+}
+
+// Print the response time report for a single repository, or its trend if there are trend periods
+function printRepoReport (report, calendar, trendPeriods) {
+  const { repoSpec, pullRequests, issues } = report
+  const both = pullRequests && issues
+
+  if (pullRequests) {
+    if (both) {
+      console.log('## Pull requests\n')
+    }
+    if (trendPeriods) {
+      printTrend(calculateTrend(pullRequests, trendPeriods), 'pullRequests')
+    } else {
+      printResponseTimes(repoSpec, pullRequests, 'pullRequests', calendar)
+      printStalled(repoSpec, report.stalled)
+      printDrafts(repoSpec, report.drafts)
+      printReviewLoad(report.reviews, calendar)
+      printContributors(report.contributors)
+      printClosures(repoSpec, report.closures)
+      printSizes(report.sizes, calendar)
+      printLifecycle(report.lifecycle, calendar)
+      if (report.areas) {
+        printAreas(report.areas)
+      }
+      printLabels(pullRequests, 'pullRequests')
+    }
+  }
+  if (issues) {
+    if (both) {
+      console.log('\n## Issues\n')
+    }
+    if (trendPeriods) {
+      printTrend(calculateTrend(issues, trendPeriods), 'issues')
+    } else {
+      printResponseTimes(repoSpec, issues, 'issues', calendar)
+      printLabels(issues, 'issues')
+    }
+  }
+  if (report.sla.length) {
+    printSlaResults(repoSpec, report.sla)
+  }
+  const botsLine = excludedBotsLine(report)
+  if (botsLine) {
+    console.log(`\n${botsLine}`)
+  }
+}
+
+// A summary of the response times of PRs or issues (kind) as a row ready for console.table
+function summaryRow (summary, kind) {
+  return {
+    [kind === 'issues' ? 'Issues' : 'PRs']: summary.total,
+    'No official response': summary.crickets,
+    'Avg official response (h)': summary.averageOfficialResponseHours ?? '-',
+    'Median official response (h)': summary.medianOfficialResponseHours ?? '-',
+    [kind === 'issues' ? 'Avg close (h)' : 'Avg resolution (h)']:
+      summary.averageResolutionHours ?? '-',
+    [kind === 'issues' ? 'Median close (h)' : 'Median resolution (h)']:
+      summary.medianResolutionHours ?? '-'
+  }
+}
+
+// Side-by-side comparison of repositories with an overall rollup, ready for console.table
+function rollupRows (reports, kind) {
+  const rows = {}
+  for (const report of reports) {
+    rows[`${report.repoSpec.org}/${report.repoSpec.repo}`] = summaryRow(
+      summarizeResponseTimes(report[kind]),
+      kind
+    )
+  }
+  rows['All repositories'] = summaryRow(
+    summarizeResponseTimes(reports.flatMap((report) => report[kind])),
+    kind
+  )
+  return rows
+}
+
+// Print a side-by-side comparison of repositories, and their combined trend if there is one
+function printRollup (reports, kind, trendPeriods) {
+  console.log(`\n# Summary: ${kind === 'issues' ? 'Issues' : 'Pull requests'}\n`)
+  console.table(rollupRows(reports, kind))
+
+  if (trendPeriods) {
+    printTrend(
+      calculateTrend(
+        reports.flatMap((report) => report[kind]),
+        trendPeriods
+      ),
+      kind
+    )
+  }
+}
+
+// Print the whole report in console format
+function printConsoleReport (results) {
+  const { reports, include, calendar, trendPeriods } = results
+
+  for (const report of reports) {
+    if (reports.length > 1) {
+      console.log(`\n# ${report.repoSpec.org}/${report.repoSpec.repo}\n`)
+    }
+    printRepoReport(report, calendar, trendPeriods)
+  }
+
+  if (reports.length > 1) {
+    for (const kind of ['pullRequests', 'issues']) {
+      if (include[kind]) {
+        printRollup(reports, kind, trendPeriods)
+      }
+    }
+  }
+}
+
+// The whole report as an object, for the JSON output and the dashboard
+function buildJsonReport (results) {
+  const { reports, include, calendar, trendPeriods, labels, rangeStart, rangeEnd } = results
+
+  const kindOutput = (repoSpec, responseTimes, kind) => ({
+    summary: summarizeResponseTimes(responseTimes),
+    statistics: calculateStatisticsByCreator(
+      responseTimes,
+      Object.keys(statisticsFieldsFor(kind, calendar))
+    ),
+    trend: trendPeriods
+      ? calculateTrend(responseTimes, trendPeriods).map(({ start, end, partial, summary }) => ({
+        start: start.toISOString(),
+        end: end.toISOString(),
+        partial,
+        ...summary
+      }))
+      : undefined,
+    labels: calculateLabelBreakdown(responseTimes),
+    items: responseTimes.map((rt) => ({ url: itemUrl(repoSpec, kind, rt.number), ...rt }))
+  })
+
+  const output = {
+    period: {
+      start: rangeStart.toISOString(),
+      end: rangeEnd.toISOString()
+    },
+    labels,
+    businessHours: calendar
+      ? {
+          timeZone: calendar.timeZone,
+          days: calendar.days.map((day) => dayNames[day]),
+          startMinutes: calendar.startMinutes,
+          endMinutes: calendar.endMinutes,
+          holidays: [...calendar.holidays]
+        }
+      : null,
+    repositories: reports.map((report) => ({
+      repository: `${report.repoSpec.org}/${report.repoSpec.repo}`,
+      maintainerTeams: report.repoSpec.maintainerTeamSlugs,
+      maintainers: report.maintainers.map(({ login, from, to }) => ({
+        login,
+        from: from && new Date(from).toISOString(),
+        to: to && new Date(to).toISOString()
+      })),
+      pullRequests: report.pullRequests
+        ? kindOutput(report.repoSpec, report.pullRequests, 'pullRequests')
+        : undefined,
+      issues: report.issues ? kindOutput(report.repoSpec, report.issues, 'issues') : undefined,
+      reviews: report.reviews || undefined,
+      drafts: report.drafts
+        ? {
+            ...report.drafts,
+            pullRequests: report.drafts.pullRequests.map((draft) => ({
+              url: itemUrl(report.repoSpec, 'pullRequests', draft.number),
+              ...draft
+            }))
+          }
+        : undefined,
+      stalled: report.stalled
+        ? {
+            ...report.stalled,
+            pullRequests: report.stalled.pullRequests.map((pr) => ({
+              url: itemUrl(report.repoSpec, 'pullRequests', pr.number),
+              ...pr
+            }))
+          }
+        : undefined,
+      contributors: report.contributors || undefined,
+      closures: report.closures
+        ? {
+            ...report.closures,
+            pullRequests: report.closures.pullRequests.map((pr) => ({
+              url: itemUrl(report.repoSpec, 'pullRequests', pr.number),
+              ...pr
+            }))
+          }
+        : undefined,
+      sizes: report.sizes || undefined,
+      lifecycle: report.lifecycle || undefined,
+      areas: report.areas || undefined,
+      bots: report.bots,
+      sla: report.sla.map(({ target, met, pending, breaches, compliance, failed }) => ({
+        target: slaTargetName(target),
+        kind: target.kind,
+        metric: target.field,
+        contributors: target.contributors,
+        hours: target.hours,
+        minCompliance: target.minCompliance,
+        met,
+        pending,
+        breached: breaches.length,
+        compliance,
+        failed,
+        breaches: breaches.map(({ responseTime, hours, responded }) => ({
+          url: itemUrl(report.repoSpec, target.kind, responseTime.number),
+          number: responseTime.number,
+          creator: responseTime.creator,
+          hours,
+          responded
+        }))
+      }))
+    }))
+  }
+
+  if (reports.length > 1) {
+    output.summary = {}
+    for (const kind of ['pullRequests', 'issues']) {
+      if (include[kind]) {
+        output.summary[kind] = summarizeResponseTimes(reports.flatMap((report) => report[kind]))
+      }
+    }
+  }
+
+  return output
+}
+
+// The whole report as a JSON document
+export function generateJsonOutput (results) {
+  return JSON.stringify(buildJsonReport(results), null, 2) + '\n'
+}
+
+// The whole report as an interactive HTML dashboard, with a weekly trend by default
+export function generateDashboardOutput (results) {
+  const { reports, rangeStart, rangeEnd } = results
+  const trendPeriods = results.trendPeriods || calculateTrendPeriods(rangeStart, rangeEnd, 'weekly')
+  return renderDashboard(
+    buildJsonReport({ ...results, trendPeriods }),
+    reports.length === 1
+      ? `Repository health: ${reports[0].repoSpec.org}/${reports[0].repoSpec.repo}`
+      : 'Repository health'
+  )
+}
+
+// One CSV row per PR and issue
+export function generateCsvOutput (results) {
+  const { reports, include, calendar } = results
+
+  const fields = []
+  for (const kind of ['pullRequests', 'issues']) {
+    if (include[kind]) {
+      for (const field of Object.keys(statisticsFieldsFor(kind, calendar))) {
+        if (!fields.includes(field)) {
+          fields.push(field)
+        }
+      }
+    }
+  }
+  // Cycle times and lifecycle stages are reported by size and stage rather than on their own
+  if (include.pullRequests) {
+    fields.push('firstReviewHours', 'mergeHours', ...lifecycleStages.map(({ field }) => field))
+    if (calendar) {
+      fields.push(
+        'firstReviewBusinessHours',
+        'mergeBusinessHours',
+        ...lifecycleStages.map(({ businessField }) => businessField)
+      )
+    }
+    fields.push('reviewRounds')
+  }
+  const columns = [
+    'repository',
+    'type',
+    'number',
+    'url',
+    'creator',
+    'maintainer',
+    'contributorClass',
+    'createdAt',
+    'resolvedAt',
+    'merged',
+    'closedBy',
+    'closer',
+    'additions',
+    'deletions',
+    'changedFiles',
+    'size',
+    'areas',
+    'labels'
+  ]
+    .concat(fields)
+    .concat(['truncated'])
+
+  const lines = [columns.join(',')]
+  for (const report of reports) {
+    for (const kind of ['pullRequests', 'issues']) {
+      for (const rt of report[kind] || []) {
+        const row = {
+          ...rt,
+          repository: `${report.repoSpec.org}/${report.repoSpec.repo}`,
+          type: kind === 'issues' ? 'issue' : 'pr',
+          url: itemUrl(report.repoSpec, kind, rt.number)
+        }
+        lines.push(columns.map((column) => csvValue(row[column])).join(','))
+      }
+    }
+  }
+  return lines.join('\n') + '\n'
+}
+
+// The report as a list of blocks that can be rendered as Markdown or HTML
+export function buildReportDocument (results) {
+  const { reports, include, calendar, trendPeriods, labels, rangeStart, rangeEnd } = results
+  const date = (d) => new Date(d).toISOString().slice(0, 10)
+  const kindNames = { pullRequests: 'Pull requests', issues: 'Issues' }
+  const blocks = []
+
+  blocks.push({
+    type: 'heading',
+    level: 1,
+    text:
+      reports.length === 1
+        ? `Repository health: ${reports[0].repoSpec.org}/${reports[0].repoSpec.repo}`
+        : 'Repository health'
+  })
+  blocks.push({
+    type: 'paragraph',
+    text: `${include.pullRequests ? 'Pull requests' : ''}${
+      include.pullRequests && include.issues ? ' and issues' : include.issues ? 'Issues' : ''
+    } created between ${date(rangeStart)} and ${date(rangeEnd)}${
+      labels && labelFilterDescription(labels) ? `, ${labelFilterDescription(labels)}` : ''
+    }. All times are in hours${
+      calendar ? ', business hours figures count only working hours' : ''
+    }.`
+  })
+
+  for (const report of reports) {
+    const { repoSpec } = report
+    blocks.push({
+      type: 'heading',
+      level: 2,
+      text: `${repoSpec.org}/${repoSpec.repo}`,
+      url: `https://github.com/${repoSpec.org}/${repoSpec.repo}`
+    })
+    blocks.push({
+      type: 'paragraph',
+      text: `"Official" responses are from ${maintainersDescription(report)}.`
+    })
+    const botsLine = excludedBotsLine(report)
+    if (botsLine) {
+      blocks.push({ type: 'paragraph', text: `${botsLine}.` })
+    }
+
+    for (const kind of ['pullRequests', 'issues']) {
+      const responseTimes = report[kind]
+      if (!responseTimes) {
+        continue
+      }
+      const summary = summarizeResponseTimes(responseTimes)
+      blocks.push({ type: 'heading', level: 3, text: kindNames[kind] })
+      blocks.push({
+        type: 'paragraph',
+        text: `${summary.total} ${kindNames[kind].toLowerCase()}, ${summary.crickets} with no official response.`
+      })
+
+      if (trendPeriods) {
+        blocks.push({ type: 'paragraph', text: `${trendDescription}:` })
+        blocks.push(rowsTable(trendRows(calculateTrend(responseTimes, trendPeriods), kind), 'Period'))
+        continue
+      }
+
+      const { summaryRows, histogramRows } = statisticsRows(
+        responseTimes,
+        statisticsFieldsFor(kind, calendar)
+      )
+      blocks.push(rowsTable(summaryRows, 'Response time (creators)'))
+      blocks.push(rowsTable(histogramRows, 'Response time (creators)'))
+
+      const crickets = responseTimes.filter((rt) => rt.officialResponseHours === null)
+      if (crickets.length) {
+        blocks.push({ type: 'heading', level: 4, text: 'No official response' })
+        blocks.push({
+          type: 'list',
+          items: crickets.map((rt) => [
+            { text: `#${rt.number}`, url: itemUrl(repoSpec, kind, rt.number) },
+            ` by ${userName(rt.creator)}, created ${date(rt.createdAt)}`
+          ])
+        })
+      }
+
+      const truncated = responseTimes.filter((rt) => rt.truncated)
+      if (truncated.length) {
+        blocks.push({ type: 'heading', level: 4, text: 'Incomplete data' })
+        blocks.push({
+          type: 'list',
+          items: truncated.map((rt) => [
+            { text: `#${rt.number}`, url: itemUrl(repoSpec, kind, rt.number) },
+            ` has too many ${truncatedDescription(rt.truncated)} to fetch completely`
+          ])
+        })
+      }
+
+      if (kind === 'pullRequests') {
+        blocks.push({ type: 'heading', level: 4, text: 'Drafts' })
+        blocks.push({ type: 'paragraph', text: `${draftsSummaryLine(report.drafts)}.` })
+        if (report.drafts.pullRequests.length) {
+          blocks.push({
+            type: 'list',
+            items: report.drafts.pullRequests.map((draft) => [
+              { text: `#${draft.number}`, url: itemUrl(repoSpec, kind, draft.number) },
+              ` ${draftDescription(draft)}`
+            ])
+          })
+        }
+
+        blocks.push({ type: 'heading', level: 4, text: 'Stalled' })
+        blocks.push({ type: 'paragraph', text: `${stalledSummaryLine(report.stalled)}.` })
+        if (report.stalled.pullRequests.length) {
+          blocks.push({
+            type: 'list',
+            items: report.stalled.pullRequests.map((pr) => [
+              { text: `#${pr.number}`, url: itemUrl(repoSpec, kind, pr.number) },
+              ` by ${userName(pr.creator)}, waiting on ${pr.waitingOn === 'author' ? 'the author' : 'maintainers'} (${
+                pr.reason
+              }), idle ${pr.idleDays} days since ${date(pr.lastActivityAt)}`
+            ])
+          })
+        }
+
+        blocks.push({ type: 'heading', level: 4, text: 'Review load' })
+        for (const line of reviewSummaryLines(report.reviews, calendar)) {
+          blocks.push({ type: 'paragraph', text: `${line}.` })
+        }
+        if (report.reviews.reviewers.length) {
+          blocks.push(rowsTable(reviewRows(report.reviews, calendar), 'Reviewer'))
+        }
+
+        blocks.push({ type: 'heading', level: 4, text: 'Contributors' })
+        blocks.push(rowsTable(contributorRows(report.contributors), 'Class of author'))
+        blocks.push({ type: 'paragraph', text: `${retentionLine(report.contributors)}.` })
+
+        blocks.push({ type: 'heading', level: 4, text: 'Closed without merging' })
+        blocks.push({ type: 'paragraph', text: `${closuresSummaryLine(report.closures)}.` })
+        if (report.closures.resolved) {
+          blocks.push(rowsTable(closureRows(report.closures), 'Class of author'))
+        }
+        if (report.closures.pullRequests.length) {
+          blocks.push({
+            type: 'list',
+            items: report.closures.pullRequests.map((pr) => [
+              { text: `#${pr.number}`, url: itemUrl(repoSpec, kind, pr.number) },
+              ` ${closedDescription(pr)}`
+            ])
+          })
+        }
+
+        blocks.push({ type: 'heading', level: 4, text: 'PR size' })
+        blocks.push({
+          type: 'paragraph',
+          text: 'Time to first review and merge by size of PR, the smallest size that fits both its lines and files changed.'
+        })
+        blocks.push(rowsTable(sizeRows(report.sizes, calendar), 'Size'))
+
+        blocks.push({ type: 'heading', level: 4, text: 'Lifecycle' })
+        blocks.push(rowsTable(lifecycleRows(report.lifecycle, calendar), 'Stage'))
+        blocks.push({ type: 'paragraph', text: `${reviewRoundsLine(report.lifecycle)}.` })
+
+        if (report.areas) {
+          blocks.push({ type: 'heading', level: 4, text: 'Areas' })
+          blocks.push({
+            type: 'paragraph',
+            text: 'Response times by area, the owners of the files each PR changes. PRs changing the files of several areas count for each.'
+          })
+          blocks.push(rowsTable(areaRows(report.areas), 'Area'))
+        }
+      }
+
+      blocks.push({ type: 'heading', level: 4, text: 'Labels' })
+      blocks.push(rowsTable(labelRows(responseTimes, kind), 'Label'))
+    }
+
+    if (report.sla.length) {
+      blocks.push({ type: 'heading', level: 3, text: 'SLA compliance' })
+      blocks.push(rowsTable(slaRows(report.sla), 'Target'))
+      const breaches = report.sla.flatMap((result) =>
+        result.breaches.map((breach) => ({ ...breach, target: result.target }))
+      )
+      if (breaches.length) {
+        blocks.push({ type: 'heading', level: 4, text: 'Breaches' })
+        blocks.push({
+          type: 'list',
+          items: breaches.map(({ responseTime, hours, responded, target }) => [
+            {
+              text: `#${responseTime.number}`,
+              url: itemUrl(repoSpec, target.kind, responseTime.number)
+            },
+            ` by @${responseTime.creator}: ${slaTargetName(target)}, ${
+              responded ? `took ${hours}h` : `none after ${hours}h`
+            }`
+          ])
+        })
+      }
+    }
+  }
+
+  if (reports.length > 1) {
+    blocks.push({ type: 'heading', level: 2, text: 'Summary' })
+    for (const kind of ['pullRequests', 'issues']) {
+      if (!include[kind]) {
+        continue
+      }
+      blocks.push({ type: 'heading', level: 3, text: kindNames[kind] })
+      blocks.push(rowsTable(rollupRows(reports, kind), 'Repository'))
+      if (trendPeriods) {
+        blocks.push({ type: 'paragraph', text: `${trendDescription}:` })
+        blocks.push(
+          rowsTable(
+            trendRows(
+              calculateTrend(
+                reports.flatMap((report) => report[kind]),
+                trendPeriods
+              ),
+              kind
+            ),
+            'Period'
+          )
+        )
+      }
+    }
+  }
+
+  return blocks
+}
+
+// Generators for the output formats other than console, each returning the whole output as a string
+const outputGenerators = {
+  json: generateJsonOutput,
+  csv: generateCsvOutput,
+  markdown: (results) => renderMarkdown(buildReportDocument(results)),
+  html: (results) => renderHtml(buildReportDocument(results)),
+  dashboard: generateDashboardOutput
+}
+
+const outputFormats = ['console'].concat(Object.keys(outputGenerators))
+
+// The rules of a repository's CODEOWNERS file, or null with a warning if it hasn't got one
+async function fetchCodeownersRules (api, repoSpec) {
+  const text = await fetchCodeowners(api, repoSpec)
+  if (text === null) {
+    console.error(`Warning: no CODEOWNERS file found in ${repoSpec.org}/${repoSpec.repo}, skipping its areas`)
+    return null
+  }
+  return parseCodeowners(text)
+}
+
+// Fetch and calculate the reports for a set of repositories, plus those of orgSpec's organization
+export async function fetchRepoReports (
+  api,
+  {
+    repoSpecs,
+    orgSpec = null,
+    include,
+    calendar = null,
+    sla = [],
+    trend = null,
+    retentionWindow = 0,
+    staleAfter = 14 * 24 * 60 * 60 * 1000,
+    areas = null,
+    maintainerList = [],
+    labels = { include: [], exclude: [] },
+    bots = { ignore: [], include: false },
+    rangeStart,
+    rangeEnd
+  }
+) {
+  repoSpecs = [...repoSpecs]
+  const trendPeriods = trend ? calculateTrendPeriods(rangeStart, rangeEnd, trend) : null
+
+  if (orgSpec) {
+    const names = await fetchOrgRepos(api, orgSpec.org, orgSpec.topic, orgSpec.filter)
+    for (const repo of names) {
+      if (!repoSpecs.some((spec) => spec.org === orgSpec.org && spec.repo === repo)) {
+        repoSpecs.push({ org: orgSpec.org, repo, maintainerTeamSlugs: orgSpec.maintainerTeamSlugs })
+      }
+    }
+    if (!repoSpecs.length) {
+      throw new Error(`No matching repositories found in ${orgSpec.org}`)
+    }
+  }
+
+  const isBotActor = createBotDetector(bots.ignore)
+  // Unless bots are included, their PRs, issues, comments, reviews and events are left out
+  const withoutBots = (items) =>
+    bots.include
+      ? items
+      : items.filter((item) => !isBotActor(item.author)).map((item) => withoutBotEvents(item, isBotActor))
+  // Those left out of the period's PRs and issues are counted
+  const excludeBots = (items, kind, report) => {
+    if (!bots.include) {
+      report.bots[kind] = items.filter((item) => isBotActor(item.author)).length
+    }
+    return withoutBots(items)
+  }
+
+  const labelFilter = createLabelFilter(labels)
+  const withLabels = (items) => items.filter((item) => labelFilter(labelNames(item)))
+
+  // Teams are often shared between repositories, only fetch each one once
+  const maintainersByTeam = new Map()
+  const reports = []
+
+  for (const repoSpec of repoSpecs) {
+    const teamKey = `${repoSpec.org}/${repoSpec.maintainerTeamSlugs.join(',')}`
+    if (!maintainersByTeam.has(teamKey)) {
+      maintainersByTeam.set(
+        teamKey,
+        combineMaintainers(await fetchMaintainers(api, repoSpec), maintainerList)
+      )
+    }
+    const maintainers = maintainersByTeam.get(teamKey)
+
+    const report = {
+      repoSpec,
+      maintainers,
+      listedMaintainers: maintainerList.length,
+      pullRequests: null,
+      issues: null,
+      reviews: null,
+      drafts: null,
+      stalled: null,
+      contributors: null,
+      closures: null,
+      sizes: null,
+      lifecycle: null,
+      areas: null,
+      bots: { included: bots.include, pullRequests: 0, issues: 0 },
+      sla: []
+    }
+    if (include.pullRequests) {
+      // PRs opened in the retention window are only used to see if first-time contributors return
+      const retentionEnd = new Date(
+        Math.max(rangeEnd, Math.min(rangeEnd.getTime() + retentionWindow, Date.now()))
+      )
+      const allPullRequests = await fetchPRData(api, repoSpec, rangeStart, retentionEnd, {
+        drafts: true
+      })
+      const pullRequestsAndDrafts = excludeBots(
+        withLabels(allPullRequests.filter((pr) => new Date(pr.createdAt) <= rangeEnd)),
+        'pullRequests',
+        report
+      )
+      // Drafts are work in progress, reported on their own rather than waiting on a response
+      const pullRequests = pullRequestsAndDrafts.filter((pr) => !pr.isDraft)
+      // Drafts aren't reported on trends, PRs opened before the period may have left draft in it
+      if (!trendPeriods) {
+        report.drafts = calculateDrafts(pullRequestsAndDrafts, maintainers, rangeStart, rangeEnd, {
+          updatedPullRequests: withoutBots(withLabels(await fetchUpdatedPRData(api, repoSpec, rangeStart)))
+        })
+      }
+      report.pullRequests = calculateResponseTimes(
+        pullRequests,
+        maintainers,
+        calendar,
+        isBotActor,
+        await fetchFirstPullRequests(api, repoSpec, pullRequests, maintainers, isBotActor)
+      )
+      const rules = areas === 'codeowners' ? await fetchCodeownersRules(api, repoSpec) : areas
+      if (rules) {
+        report.pullRequests = report.pullRequests.map((rt, i) => ({
+          ...rt,
+          areas: areasOf(
+            pullRequests[i].files.nodes.map((file) => file.path),
+            rules
+          )
+        }))
+        report.areas = calculateAreaBreakdown(report.pullRequests)
+      }
+      report.reviews = calculateReviewLoad(pullRequests, maintainers, calendar)
+      // Any open PR can have stalled, stalled PRs aren't reported on trends
+      if (!trendPeriods) {
+        const openPullRequests = withoutBots(withLabels(await fetchOpenPRData(api, repoSpec))).filter(
+          (pr) => !pr.isDraft
+        )
+        report.stalled = calculateStalledPullRequests(openPullRequests, maintainers, staleAfter)
+      }
+      report.contributors = calculateContributorExperience(
+        report.pullRequests,
+        allPullRequests.filter(
+          (pr) =>
+            new Date(pr.createdAt) > rangeEnd &&
+            !pr.isDraft &&
+            (bots.include || !isBotActor(pr.author))
+        ),
+        retentionEnd
+      )
+      report.closures = calculateClosures(report.pullRequests)
+      report.sizes = calculateSizeBreakdown(report.pullRequests, calendar)
+      report.lifecycle = summarizeLifecycle(report.pullRequests, calendar)
+    }
+    if (include.issues) {
+      const issues = excludeBots(
+        withLabels(await fetchIssueData(api, repoSpec, rangeStart, rangeEnd)),
+        'issues',
+        report
+      )
+      report.issues = calculateIssueResponseTimes(issues, maintainers, calendar, isBotActor)
+    }
+    report.sla = sla
+      .filter((target) => report[target.kind])
+      .map((target) => evaluateSla(report[target.kind], target, calendar))
+    reports.push(report)
+  }
+
+  return { reports, include, calendar, trendPeriods, labels, rangeStart, rangeEnd }
+}
+
+// Run the repo command with its command-line arguments
+export async function repoCommand (args, { github }) {
+  const options = parseArgs(args)
+  const api = { github, cache: createCache(options.cacheOptions) }
+
+  const results = await fetchRepoReports(api, options)
+  writeOutputs(options.outputs, (format) =>
+    format === 'console' ? printConsoleReport(results) : outputGenerators[format](results)
+  )
+
+  const failedRepos = results.reports.filter((report) => report.sla.some((result) => result.failed))
+  if (failedRepos.length) {
+    console.error(
+      `SLA compliance below the minimum for ${failedRepos
+        .map(({ repoSpec }) => `${repoSpec.org}/${repoSpec.repo}`)
+        .join(', ')}`
+    )
+    process.exitCode = slaFailureExitCode
+  }
+}
@@ -0,0 +1,120 @@
+import { convertToRoundedHours, hoursBetween } from './dates.js'
+import { isMaintainer } from './maintainers.js'
+import { calculateStatistics, round1 } from './statistics.js'
+
+// Review load: who reviews PRs, how quickly requested reviewers respond, and how concentrated it is
+
+// Review states counted for each reviewer, pending reviews haven't been submitted so are skipped
+const reviewStates = {
+  APPROVED: 'approved',
+  CHANGES_REQUESTED: 'changesRequested',
+  COMMENTED: 'commented',
+  DISMISSED: 'dismissed'
+}
+
+// Percentage of reviews done by the busiest reviewers, and the bus factor
+function calculateConcentration (counts) {
+  const total = counts.reduce((sum, count) => sum + count, 0)
+  if (!total) {
+    return { topReviewerShare: null, topTwoReviewersShare: null, busFactor: null }
+  }
+  const sorted = [...counts].sort((a, b) => b - a)
+  let busFactor = 0
+  for (let covered = 0; covered * 2 <= total; busFactor++) {
+    covered += sorted[busFactor]
+  }
+  return {
+    topReviewerShare: round1((sorted[0] / total) * 100),
+    topTwoReviewersShare: round1(((sorted[0] + (sorted[1] || 0)) / total) * 100),
+    busFactor
+  }
+}
+
+// Reviews by each reviewer other than the PR's author, busiest first, and review request turnaround
+export function calculateReviewLoad (pullRequests, maintainers, calendar = null) {
+  const reviewers = new Map()
+  const reviewer = (login, at) => {
+    if (!reviewers.has(login)) {
+      reviewers.set(login, {
+        login,
+        maintainer: false,
+        reviews: 0,
+        prsReviewed: 0,
+        approved: 0,
+        changesRequested: 0,
+        commented: 0,
+        dismissed: 0,
+        requests: 0,
+        requestsNotReviewed: 0,
+        requestToReview: []
+      })
+    }
+    const stats = reviewers.get(login)
+    stats.maintainer = stats.maintainer || isMaintainer(maintainers, login, new Date(at))
+    return stats
+  }
+
+  for (const pr of pullRequests) {
+    const creator = pr.author?.login
+    const reviews = pr.reviews.nodes
+      .filter((review) => review.author && review.author.login !== creator && reviewStates[review.state])
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+
+    for (const review of reviews) {
+      const stats = reviewer(review.author.login, review.createdAt)
+      stats.reviews++
+      stats[reviewStates[review.state]]++
+    }
+    for (const login of new Set(reviews.map((review) => review.author.login))) {
+      reviewers.get(login).prsReviewed++
+    }
+
+    // Requests of teams can't be tied to a reviewer, only those of individual users are measured
+    const requests = pr.timelineItems.nodes.filter(
+      (event) => event.__typename === 'ReviewRequestedEvent' && event.requestedReviewer?.login
+    )
+    for (const request of requests) {
+      const requestedAt = new Date(request.createdAt)
+      const stats = reviewer(request.requestedReviewer.login, request.createdAt)
+      const review = reviews.find(
+        (review) =>
+          review.author.login === stats.login && new Date(review.createdAt) >= requestedAt
+      )
+      stats.requests++
+      if (!review) {
+        stats.requestsNotReviewed++
+        continue
+      }
+      const requestToReview = {
+        hours: convertToRoundedHours(new Date(review.createdAt) - requestedAt)
+      }
+      if (calendar) {
+        requestToReview.businessHours = hoursBetween(requestedAt, new Date(review.createdAt), calendar)
+      }
+      stats.requestToReview.push(requestToReview)
+    }
+  }
+
+  const requestToReviewStatistics = (requestToReview) => {
+    const { histogram, ...statistics } = calculateStatistics(requestToReview, 'hours')
+    const result = { requestToReviewHours: statistics }
+    if (calendar) {
+      const { histogram, ...businessStatistics } = calculateStatistics(requestToReview, 'businessHours')
+      result.requestToReviewBusinessHours = businessStatistics
+    }
+    return result
+  }
+
+  const sorted = [...reviewers.values()].sort(
+    (a, b) => b.reviews - a.reviews || a.login.localeCompare(b.login)
+  )
+  return {
+    totalReviews: sorted.reduce((sum, stats) => sum + stats.reviews, 0),
+    reviewers: sorted.map(({ requestToReview, ...stats }) => ({
+      ...stats,
+      ...requestToReviewStatistics(requestToReview)
+    })),
+    ...requestToReviewStatistics(sorted.flatMap((stats) => stats.requestToReview)),
+    concentration: calculateConcentration(sorted.map((stats) => stats.reviews))
+  }
+}
@@ -0,0 +1,43 @@
+import { calculateStatistics } from './statistics.js'
+
+// PR size: how quickly PRs get reviewed and merged by how many lines and files they change
+
+// Size buckets, smallest first, with the most lines and files changed a PR can have to fit in each
+export const sizeBuckets = [
+  { size: 'XS', maxLines: 10, maxFiles: 2 },
+  { size: 'S', maxLines: 100, maxFiles: 5 },
+  { size: 'M', maxLines: 500, maxFiles: 15 },
+  { size: 'L', maxLines: 1000, maxFiles: 30 },
+  { size: 'XL', maxLines: Infinity, maxFiles: Infinity }
+]
+
+// Size bucket of a PR, the smallest that fits both its lines and its files changed
+export function sizeOf (linesChanged, changedFiles) {
+  return sizeBuckets.find(({ maxLines, maxFiles }) => linesChanged <= maxLines && changedFiles <= maxFiles)
+    .size
+}
+
+// PRs, merges and median lines changed, time to first review and time to merge in each size bucket
+export function calculateSizeBreakdown (responseTimes, calendar = null) {
+  return sizeBuckets.map(({ size, maxLines, maxFiles }) => {
+    const bucket = responseTimes.filter((rt) => rt.size === size)
+    const breakdown = {
+      size,
+      maxLines: maxLines === Infinity ? null : maxLines,
+      maxFiles: maxFiles === Infinity ? null : maxFiles,
+      pullRequests: bucket.length,
+      merged: bucket.filter((rt) => rt.merged).length,
+      medianLinesChanged: calculateStatistics(
+        bucket.map((rt) => ({ linesChanged: rt.additions + rt.deletions })),
+        'linesChanged'
+      ).median,
+      medianFirstReviewHours: calculateStatistics(bucket, 'firstReviewHours').median,
+      medianMergeHours: calculateStatistics(bucket, 'mergeHours').median
+    }
+    if (calendar) {
+      breakdown.medianFirstReviewBusinessHours = calculateStatistics(bucket, 'firstReviewBusinessHours').median
+      breakdown.medianMergeBusinessHours = calculateStatistics(bucket, 'mergeBusinessHours').median
+    }
+    return breakdown
+  })
+}
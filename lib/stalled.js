@@ -0,0 +1,129 @@
+import { convertToRoundedHours } from './dates.js'
+import { isMaintainer } from './maintainers.js'
+import { round1 } from './statistics.js'
+
+// Stalled PRs: open PRs that got a response from a maintainer but have since gone quiet
+
+// Why a PR is waiting on whoever it's waiting on, by the event that put the ball in their court
+export const waitingReasons = {
+  authorReplied: 'author replied',
+  authorPushed: 'author pushed',
+  reviewRequested: 'review requested',
+  approved: 'approved, not merged',
+  changesRequested: 'changes requested',
+  maintainerCommented: 'maintainer commented'
+}
+
+// A PR's comments, reviews and timeline events as { login, at, type, state }, oldest first
+function activityOf (pr) {
+  const creator = pr.author?.login
+  const activity = [
+    ...pr.comments.nodes.map((comment) => ({
+      login: comment.author?.login,
+      at: comment.createdAt,
+      type: 'comment'
+    })),
+    ...pr.reviews.nodes
+      .filter((review) => review.state !== 'PENDING')
+      .map((review) => ({
+        login: review.author?.login,
+        at: review.createdAt,
+        type: 'review',
+        state: review.state
+      })),
+    ...pr.timelineItems.nodes.map((event) =>
+      event.__typename === 'PullRequestCommit'
+        ? {
+            login: event.commit.author?.user?.login || creator,
+            at: event.commit.committedDate,
+            type: 'push'
+          }
+        : { login: event.actor?.login, at: event.createdAt, type: event.__typename }
+    )
+  ]
+  return activity.sort((a, b) => new Date(a.at) - new Date(b.at))
+}
+
+// Whose court the ball is in after a PR's activity, the author's or the maintainers', and why
+function whoseCourt (activity, creator, maintainers) {
+  let court = { waitingOn: 'maintainers', reason: null }
+  for (const { login, at, type, state } of activity) {
+    if (login === creator) {
+      if (type === 'comment' || type === 'review') {
+        court = { waitingOn: 'maintainers', reason: 'authorReplied' }
+      } else if (type === 'push' || type === 'HeadRefForcePushedEvent') {
+        court = { waitingOn: 'maintainers', reason: 'authorPushed' }
+      } else if (type === 'ReadyForReviewEvent' || type === 'ReviewRequestedEvent') {
+        court = { waitingOn: 'maintainers', reason: 'reviewRequested' }
+      }
+    } else if (isMaintainer(maintainers, login, new Date(at))) {
+      if (type === 'review' && state === 'CHANGES_REQUESTED') {
+        court = { waitingOn: 'author', reason: 'changesRequested' }
+      } else if (type === 'review' && state === 'APPROVED') {
+        court = { waitingOn: 'maintainers', reason: 'approved' }
+      } else if (type === 'ReviewRequestedEvent') {
+        court = { waitingOn: 'maintainers', reason: 'reviewRequested' }
+      } else if ((type === 'comment' || type === 'review') && court.reason !== 'changesRequested') {
+        court = { waitingOn: 'author', reason: 'maintainerCommented' }
+      }
+    }
+  }
+  return court
+}
+
+// Open PRs with a maintainer response but no activity for staleAfter ms, longest idle first
+export function calculateStalledPullRequests (pullRequests, maintainers, staleAfter, now = new Date()) {
+  const stalled = []
+  let open = 0
+
+  for (const pr of pullRequests) {
+    const creator = pr.author?.login
+    const activity = activityOf(pr)
+    if (
+      activity.some((event) => event.type === 'ClosedEvent' || event.type === 'MergedEvent')
+    ) {
+      continue
+    }
+    open++
+
+    // PRs no maintainer has responded to are already reported as having no official response
+    if (
+      !activity.some(
+        (event) =>
+          event.login !== creator &&
+          isMaintainer(maintainers, event.login, new Date(event.at)) &&
+          event.type !== 'push'
+      )
+    ) {
+      continue
+    }
+
+    const lastActivityAt = activity.length ? activity[activity.length - 1].at : pr.createdAt
+    const idle = now - new Date(lastActivityAt)
+    if (idle < staleAfter) {
+      continue
+    }
+
+    const { waitingOn, reason } = whoseCourt(activity, creator, maintainers)
+    const idleHours = convertToRoundedHours(idle)
+    stalled.push({
+      number: pr.number,
+      creator,
+      createdAt: pr.createdAt,
+      lastActivityAt,
+      idleHours,
+      idleDays: round1(idleHours / 24),
+      waitingOn,
+      reason: waitingReasons[reason]
+    })
+  }
+
+  stalled.sort((a, b) => b.idleHours - a.idleHours)
+  return {
+    staleAfterDays: round1(staleAfter / (24 * 60 * 60 * 1000)),
+    openPullRequests: open,
+    waitingOnAuthor: stalled.filter((pr) => pr.waitingOn === 'author').length,
+    waitingOnMaintainers: stalled.filter((pr) => pr.waitingOn === 'maintainers').length,
+    pullRequests: stalled
+  }
+}
@@ -0,0 +1,135 @@
+// Statistics over sets of response times, each an object with numeric (or null) fields of hours
+
+// Average of the non-null values of a field across a set of response times, to 1 decimal place
+export function averageOf (responseTimes, field) {
+  const values = responseTimes.filter((rt) => rt[field] !== null).map((rt) => rt[field])
+  return values.length
+    ? Math.round((values.reduce((acc, value) => acc + value, 0) / values.length) * 10) / 10
+    : null
+}
+
+// Upper bounds, in hours, of the buckets used for response time histograms
+const histogramBuckets = [
+  { label: '<4h', max: 4 },
+  { label: '<24h', max: 24 },
+  { label: '<72h', max: 72 },
+  { label: '<1w', max: 24 * 7 },
+  { label: '>1w', max: Infinity }
+]
+
+// Round to 1 decimal place
+export function round1 (value) {
+  return Math.round(value * 10) / 10
+}
+
+// Percentile (0-100) of an ascending sorted array, interpolating between the closest ranks
+function percentile (sorted, p) {
+  const rank = (p / 100) * (sorted.length - 1)
+  const lower = Math.floor(rank)
+  const upper = Math.ceil(rank)
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower)
+}
+
+// Distribution statistics for the non-null values of a field across a set of response times
+export function calculateStatistics (responseTimes, field) {
+  const values = responseTimes
+    .filter((rt) => rt[field] !== null)
+    .map((rt) => rt[field])
+    .sort((a, b) => a - b)
+
+  const histogram = Object.fromEntries(histogramBuckets.map(({ label }) => [label, 0]))
+  for (const value of values) {
+    histogram[histogramBuckets.find(({ max }) => value < max).label]++
+  }
+
+  if (!values.length) {
+    return {
+      count: 0,
+      mean: null,
+      median: null,
+      p75: null,
+      p90: null,
+      p95: null,
+      min: null,
+      max: null,
+      stdDev: null,
+      histogram
+    }
+  }
+
+  const mean = values.reduce((acc, value) => acc + value, 0) / values.length
+  const variance = values.reduce((acc, value) => acc + (value - mean) ** 2, 0) / values.length
+
+  return {
+    count: values.length,
+    mean: round1(mean),
+    median: round1(percentile(values, 50)),
+    p75: round1(percentile(values, 75)),
+    p90: round1(percentile(values, 90)),
+    p95: round1(percentile(values, 95)),
+    min: values[0],
+    max: values[values.length - 1],
+    stdDev: round1(Math.sqrt(variance)),
+    histogram
+  }
+}
+
+// Statistics for each of the fields, for all creators and split by whether the creator is a maintainer
+export function calculateStatisticsByCreator (responseTimes, fields) {
+  const groups = {
+    all: responseTimes,
+    maintainer: responseTimes.filter((rt) => rt.maintainer),
+    nonMaintainer: responseTimes.filter((rt) => !rt.maintainer)
+  }
+  return Object.fromEntries(
+    fields.map((field) => [
+      field,
+      Object.fromEntries(
+        Object.entries(groups).map(([group, rts]) => [group, calculateStatistics(rts, field)])
+      )
+    ])
+  )
+}
+
+// Roll a set of PR or issue response times, from one or more repositories, up into headline numbers
+export function summarizeResponseTimes (responseTimes) {
+  return {
+    total: responseTimes.length,
+    crickets: responseTimes.filter((rt) => rt.officialResponseHours === null).length,
+    averageOfficialResponseHours: averageOf(responseTimes, 'officialResponseHours'),
+    medianOfficialResponseHours: calculateStatistics(responseTimes, 'officialResponseHours').median,
+    averageResolutionHours: averageOf(responseTimes, 'resolutionTime'),
+    medianResolutionHours: calculateStatistics(responseTimes, 'resolutionTime').median
+  }
+}
+
+// Split a range into weeks or calendar months (UTC), marking partial ones
+export function calculateTrendPeriods (rangeStart, rangeEnd, interval) {
+  const periods = []
+  for (let start = new Date(rangeStart); start < rangeEnd;) {
+    let end = new Date(start)
+    let partial = false
+    if (interval === 'weekly') {
+      end.setDate(end.getDate() + 7)
+    } else {
+      end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1))
+      partial = start.getTime() !== Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), 1)
+    }
+    // An --until date runs to the last millisecond of its day, which doesn't make its period partial
+    periods.push({ start, end: end < rangeEnd ? end : rangeEnd, partial: partial || end - rangeEnd > 1 })
+    start = end
+  }
+  return periods
+}
+
+// Headline numbers for the PRs or issues created in each period
+export function calculateTrend (responseTimes, periods) {
+  return periods.map((period) => ({
+    ...period,
+    summary: summarizeResponseTimes(
+      responseTimes.filter(
+        (rt) => new Date(rt.createdAt) >= period.start && new Date(rt.createdAt) < period.end
+      )
+    )
+  }))
+}
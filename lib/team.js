@@ -0,0 +1,270 @@
+import { cacheUsage, parseOptions } from './args.js'
+import { botUsage, createBotDetector, parseBotList } from './bots.js'
+import { createCache } from './cache.js'
+import { parseDate, startOfDay } from './dates.js'
+import { parseOutputs, renderHtml, renderMarkdown, rowsTable, writeOutputs } from './output.js'
+import { fetchTeamMembers } from './repo.js'
+import {
+  enrichCommitContributions,
+  enrichPullRequestData,
+  excludeBotActivity,
+  fetchUserActivity,
+  generateJsonOutput as generateUserJsonOutput
+} from './user.js'
+
+// The team command: the combined activity of every member of a GitHub team over a period
+
+// Headline numbers reported for each member, with their column names
+const activityColumns = {
+  prsOpened: 'PRs opened',
+  prsMerged: 'PRs merged',
+  reviewsGiven: 'Reviews given',
+  issuesFiled: 'Issues filed',
+  commits: 'Commits'
+}
+
+// Fetch the activity of each member of a team as [{ login, activity }]
+export async function fetchTeamActivity (api, org, teamSlug, since, { enrich = false } = {}) {
+  const members = await fetchTeamMembers(api, org, teamSlug)
+
+  // The shared client caps how many requests are in flight, so every member can be queued up at once
+  return Promise.all(
+    members.map(async (login) => {
+      const activity = await fetchUserActivity(api, login, since)
+      if (enrich) {
+        await Promise.all([
+          enrichCommitContributions(api, activity, since, login),
+          enrichPullRequestData(api, activity, since)
+        ])
+      }
+      return { login, activity }
+    })
+  )
+}
+
+// Commits to a repository, GitHub's contribution count covers the month before the period too
+function commitCount (contributions) {
+  return contributions.directCommits ?? contributions.totalCount
+}
+
+// Headline numbers for one user's activity since the start of the period
+export function summarizeUserActivity (activity, login, since) {
+  const { pullRequests, reviews, issues, commitsByRepo } = activity
+  return {
+    prsOpened: pullRequests.filter((pr) => new Date(pr.createdAt) >= since).length,
+    prsMerged: pullRequests.filter((pr) => pr.mergedAt && new Date(pr.mergedAt) >= since).length,
+    reviewsGiven: reviews.filter(
+      (review) =>
+        new Date(review.createdAt) >= since && review.pullRequest.author?.login !== login
+    ).length,
+    issuesFiled: issues.filter((issue) => new Date(issue.createdAt) >= since).length,
+    commits: commitsByRepo.reduce((sum, { contributions }) => sum + commitCount(contributions), 0)
+  }
+}
+
+// Headline numbers for each member and the team, plus commits by repository, busiest first
+export function summarizeTeamActivity (teamActivity, since) {
+  const members = teamActivity.map(({ login, activity }) => ({
+    login,
+    ...summarizeUserActivity(activity, login, since)
+  }))
+
+  const totals = {}
+  for (const key of Object.keys(activityColumns)) {
+    totals[key] = members.reduce((sum, member) => sum + member[key], 0)
+  }
+
+  const repos = new Map()
+  for (const { login, activity } of teamActivity) {
+    for (const { repository, contributions } of activity.commitsByRepo) {
+      const commits = commitCount(contributions)
+      if (!commits) {
+        continue
+      }
+      if (!repos.has(repository.nameWithOwner)) {
+        repos.set(repository.nameWithOwner, {
+          repository: repository.nameWithOwner,
+          commits: 0,
+          members: []
+        })
+      }
+      const repo = repos.get(repository.nameWithOwner)
+      repo.commits += commits
+      repo.members.push({ login, commits })
+    }
+  }
+  const commitsByRepo = [...repos.values()].sort((a, b) => b.commits - a.commits)
+  for (const repo of commitsByRepo) {
+    repo.members.sort((a, b) => b.commits - a.commits)
+  }
+
+  return { members, totals, commitsByRepo }
+}
+
+// Headline numbers per member plus the team total, as rows keyed by login ready for console.table
+function memberRows (summary) {
+  const row = (numbers) =>
+    Object.fromEntries(
+      Object.entries(activityColumns).map(([key, column]) => [column, numbers[key]])
+    )
+  const rows = {}
+  for (const member of summary.members) {
+    rows[`@${member.login}`] = row(member)
+  }
+  rows['Team total'] = row(summary.totals)
+  return rows
+}
+
+// Commits by repository, as rows keyed by repository ready for console.table
+function commitRows (summary) {
+  return Object.fromEntries(
+    summary.commitsByRepo.map(({ repository, commits, members }) => [
+      repository,
+      {
+        Commits: commits,
+        Members: members.map(({ login, commits }) => `@${login} (${commits})`).join(', ')
+      }
+    ])
+  )
+}
+
+// Print the team report in console format
+function printTeamActivity (results) {
+  const { org, teamSlug, since, summary } = results
+  console.log(`# Activity for @${org}/${teamSlug} since ${since.toLocaleDateString()}`)
+  console.log('\n## Members\n')
+  console.table(memberRows(summary))
+  console.log('\n## Commits by Repository\n')
+  console.table(commitRows(summary))
+}
+
+// The team report as a list of blocks that can be rendered as Markdown or HTML
+function buildTeamDocument (results) {
+  const { org, teamSlug, since, enrich, summary } = results
+  return [
+    { type: 'heading', level: 1, text: `Team activity: @${org}/${teamSlug}` },
+    {
+      type: 'paragraph',
+      text: `Activity of ${summary.members.length} members since ${since.toISOString().slice(0, 10)}.${
+        enrich ? '' : ' Commit counts are GitHub contribution counts, which start a month earlier.'
+      }`
+    },
+    { type: 'heading', level: 2, text: 'Members' },
+    rowsTable(memberRows(summary), 'Member'),
+    { type: 'heading', level: 2, text: 'Commits by repository' },
+    rowsTable(commitRows(summary), 'Repository')
+  ]
+}
+
+// The team report as a JSON document, including each member's full activity
+function generateJsonOutput (results) {
+  const { org, teamSlug, since, summary, teamActivity } = results
+  return (
+    JSON.stringify(
+      {
+        team: `${org}/${teamSlug}`,
+        period: {
+          start: since.toISOString(),
+          end: new Date().toISOString()
+        },
+        ...summary,
+        activity: teamActivity.map(({ login, activity }) =>
+          generateUserJsonOutput(activity, login, since)
+        )
+      },
+      null,
+      2
+    ) + '\n'
+  )
+}
+
+// Generators for the output formats other than console, each returning the whole output as a string
+const outputGenerators = {
+  json: generateJsonOutput,
+  markdown: (results) => renderMarkdown(buildTeamDocument(results)),
+  html: (results) => renderHtml(buildTeamDocument(results))
+}
+
+const outputFormats = ['console'].concat(Object.keys(outputGenerators))
+
+function parseArgs (args) {
+  const { options, positionals, cacheOptions } = parseOptions(args, {
+    valueOptions: ['--output', '--bots'],
+    flags: ['--enrich', '--include-bots']
+  })
+
+  if (positionals.length !== 2) {
+    throw new Error(
+      `Usage: repo-health team <org/team-slug> <date> [options]
+
+Options:
+  --enrich                   Fetch additional data for each member, including the commits landed
+                             in the period (otherwise commit counts start a month earlier)
+  --output <format:dest>     Specify output format and destination
+                             Multiple outputs can be comma-separated
+
+${botUsage}
+
+${cacheUsage}
+
+Formats:
+  - console[:filename]       Console format (default if no format specified)
+  - markdown[:filename]      Markdown summary, suitable for a GitHub issue or discussion
+  - html[:filename]          Self-contained HTML report
+  - json[:filename]          JSON format, including each member's full activity
+
+Dates:
+  - YYYY-MM-DD               An absolute date
+  - <n>d, <n>w, <n>m         Days, weeks or months before now
+
+Examples:
+  repo-health team filecoin-project/lotus-maintainers 1m
+  repo-health team filecoin-project/lotus-maintainers 2024-01-01 --output markdown:team.md`
+    )
+  }
+
+  const [team, date] = positionals
+  const match = team.replace(/^@/, '').match(/^([\w.-]+)\/([\w.-]+)$/)
+  if (!match) {
+    throw new Error(`Team must be in org/team-slug format: ${team}`)
+  }
+
+  return {
+    org: match[1],
+    teamSlug: match[2],
+    since: startOfDay(parseDate(date, 'date')),
+    outputs: parseOutputs(options.output || 'console', outputFormats),
+    enrich: !!options.enrich,
+    bots: { ignore: parseBotList(options.bots), include: !!options.includeBots },
+    cacheOptions
+  }
+}
+
+// Run the team command with its command-line arguments
+export async function teamCommand (args, { github }) {
+  const { org, teamSlug, since, outputs, enrich, bots, cacheOptions } = parseArgs(args)
+  const api = { github, cache: createCache(cacheOptions) }
+
+  const teamActivity = await fetchTeamActivity(api, org, teamSlug, since, { enrich })
+  if (!teamActivity.length) {
+    throw new Error(`No members found in @${org}/${teamSlug}`)
+  }
+  if (!bots.include) {
+    const isBotActor = createBotDetector(bots.ignore)
+    for (const { activity } of teamActivity) {
+      excludeBotActivity(activity, isBotActor)
+    }
+  }
+
+  const results = {
+    org,
+    teamSlug,
+    since,
+    enrich,
+    teamActivity,
+    summary: summarizeTeamActivity(teamActivity, since)
+  }
+  writeOutputs(outputs, (format) =>
+    format === 'console' ? printTeamActivity(results) : outputGenerators[format](results)
+  )
+}
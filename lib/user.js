@@ -1,12 +1,19 @@
-import { createWriteStream } from 'node:fs'
+import { cacheUsage, parseOptions } from './args.js'
+import { botUsage, createBotDetector, parseBotList } from './bots.js'
+import { createCache } from './cache.js'
+import { convertToRoundedHours, parseDate, startOfDay } from './dates.js'
+import {
+  createLabelFilter,
+  labelNames,
+  labelUsage,
+  parseLabelList,
+  unlabelled
+} from './labels.js'
+import { parseOutputs, writeOutputs } from './output.js'
+import { calculateStatistics } from './statistics.js'
+
+// The user command: a GitHub user's PRs, reviews, issues and commits over a period
 
-// Set this with an env var, or put directly in here
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN
-if (!GITHUB_TOKEN) {
-  throw new Error(
-    'GITHUB_TOKEN environment variable is required, make a classic one at https://github.com/settings/tokens'
-  )
-}
 // Also note this uses localised date strings, which pick up your system's locale, if that's not
 // correct, use `LANG=...` before running the script to set it to the correct locale.
 
@@ -35,6 +42,7 @@ const userActivityGraphql = `
               deletions
               comments { totalCount }
               reviews { totalCount }
+              labels(first: 20) { nodes { name } pageInfo { hasNextPage endCursor } }
               body
             }
           }
@@ -54,7 +62,8 @@ const userActivityGraphql = `
               pullRequest {
                 number
                 title
-                author { login }
+                author { __typename login }
+                labels(first: 20) { nodes { name } pageInfo { hasNextPage endCursor } }
               }
             }
           }
@@ -79,6 +88,7 @@ const userActivityGraphql = `
               updatedAt
               closedAt
               comments { totalCount }
+              labels(first: 20) { nodes { name } pageInfo { hasNextPage endCursor } }
             }
           }
           pageInfo {
@@ -121,7 +131,7 @@ const prCommentsGraphql = `
       pullRequest(number: $prNumber) {
         comments(first: 100, after: $commentCursor) {
           nodes {
-            author { login }
+            author { __typename login }
             bodyText
             createdAt
             reactionGroups {
@@ -145,7 +155,7 @@ const prReviewDetailsGraphql = `
       pullRequest(number: $prNumber) {
         reviews(first: 100, after: $reviewCursor) {
           nodes {
-            author { login }
+            author { __typename login }
             state
             createdAt
             comments(first: 100) {
@@ -228,6 +238,21 @@ const repoInfoGraphql = `
   }
 `
 
+const labelsGraphql = `
+  query($owner: String!, $repo: String!, $number: Int!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      issueOrPullRequest(number: $number) {
+        ... on Issue {
+          labels(first: 100, after: $cursor) { nodes { name } pageInfo { hasNextPage endCursor } }
+        }
+        ... on PullRequest {
+          labels(first: 100, after: $cursor) { nodes { name } pageInfo { hasNextPage endCursor } }
+        }
+      }
+    }
+  }
+`
+
 const userIdGraphql = `
   query($login: String!) {
     user(login: $login) {
@@ -236,31 +261,13 @@ const userIdGraphql = `
   }
 `
 
-async function fetchQuery (query, variables) {
-  const response = await fetch('https://api.github.com/graphql', {
-    method: 'POST',
-    headers: {
-      'User-Agent': 'user-activity-collector',
-      Authorization: `Bearer ${GITHUB_TOKEN}`,
-      Accept: 'application/vnd.github+json',
-      'X-GitHub-Api-Version': '2022-11-28'
-    },
-    body: JSON.stringify({ query, variables })
-  })
-
-  if (response.status !== 200) {
-    throw new Error(`Failed to fetch user activity data: ${response.statusText}`)
-  }
-
-  const data = await response.json()
-  if (data.errors) {
-    throw new Error(`Failed to fetch user activity data: ${data.errors[0].message}`)
-  }
-  return data
+// Run a GraphQL query, results are cached by query and variables
+async function fetchQuery (api, query, variables) {
+  return api.cache.fetch(['graphql', query, variables], () => api.github.graphql(query, variables))
 }
 
 // Fetch all basic activity data for a user
-async function fetchUserActivity (login, since) {
+export async function fetchUserActivity (api, login, since) {
   const activity = {
     pullRequests: [],
     reviews: [],
@@ -274,7 +281,7 @@ async function fetchUserActivity (login, since) {
   from.setMonth(from.getMonth() - 1)
 
   while (hasNextPage) {
-    const data = await fetchQuery(userActivityGraphql, { cursor, login, since: from.toISOString() })
+    const data = await fetchQuery(api, userActivityGraphql, { cursor, login, since: from.toISOString() })
     const contributions = data.data.user.contributionsCollection
     activity.pullRequests = activity.pullRequests.concat(
       contributions.pullRequestContributions.nodes.map((n) => n.pullRequest)
@@ -298,29 +305,52 @@ async function fetchUserActivity (login, since) {
   activity.reviews = activity.reviews.filter((review) => new Date(review.updatedAt) >= since)
   activity.issues = activity.issues.filter((issue) => new Date(issue.updatedAt) >= since)
 
+  await fetchRemainingLabels(api, activity)
   return activity
 }
 
+// Page through the labels of PRs and issues with more than fit in the activity query
+async function fetchRemainingLabels (api, activity) {
+  const items = [
+    ...activity.pullRequests.map((pr) => [pr.repository.nameWithOwner, pr]),
+    ...activity.issues.map((issue) => [issue.repository.nameWithOwner, issue]),
+    ...activity.reviews.map((review) => [review.repository.nameWithOwner, review.pullRequest])
+  ]
+  for (const [nameWithOwner, item] of items) {
+    const [owner, repo] = nameWithOwner.split('/')
+    while (item.labels.pageInfo.hasNextPage) {
+      const data = await fetchQuery(api, labelsGraphql, {
+        owner,
+        repo,
+        number: item.number,
+        cursor: item.labels.pageInfo.endCursor
+      })
+      const page = data.data.repository.issueOrPullRequest.labels
+      item.labels = { nodes: item.labels.nodes.concat(page.nodes), pageInfo: page.pageInfo }
+    }
+  }
+}
+
 // Fetch the unique internal GitHub ID for a user
-async function fetchUniqueIdForUser (login) {
-  const data = await fetchQuery(userIdGraphql, { login })
+async function fetchUniqueIdForUser (api, login) {
+  const data = await fetchQuery(api, userIdGraphql, { login })
   return data.data.user.id
 }
 
-async function fetchRepoInfo (owner, name) {
-  const data = await fetchQuery(repoInfoGraphql, { owner, name })
+async function fetchRepoInfo (api, owner, name) {
+  const data = await fetchQuery(api, repoInfoGraphql, { owner, name })
   return data.data?.repository
 }
 
 // Fetch commit contributions for a repository
-async function fetchCommitContributionsForRepo (owner, repo, since, authorId) {
+async function fetchCommitContributionsForRepo (api, owner, repo, since, authorId) {
   const query = contributionsByRepoGraphql.replace('{{authorId}}', authorId)
   let allCommits = []
   let commitCursor = null
   let hasNextPage = true
   while (hasNextPage) {
     const variables = { owner, repo, commitCursor, since: since.toISOString() }
-    const data = await fetchQuery(query, variables)
+    const data = await fetchQuery(api, query, variables)
     const repoData = data.data.repository
     if (!repoData || !repoData.defaultBranchRef || !repoData.defaultBranchRef.target) {
       break
@@ -333,18 +363,18 @@ async function fetchCommitContributionsForRepo (owner, repo, since, authorId) {
   return allCommits
 }
 
-async function enrichCommitContributions (activity, since, author) {
-  const authorId = await fetchUniqueIdForUser(author)
+export async function enrichCommitContributions (api, activity, since, author) {
+  const authorId = await fetchUniqueIdForUser(api, author)
   const queue = []
   for (const repoContribution of activity.commitsByRepo) {
     const repoName = repoContribution.repository.nameWithOwner
     const [owner, repo] = repoName.split('/')
     queue.push(
       (async () => {
-        const extraCommits = await fetchCommitContributionsForRepo(owner, repo, since, authorId)
+        const extraCommits = await fetchCommitContributionsForRepo(api, owner, repo, since, authorId)
         repoContribution.contributions.nodes = extraCommits
         repoContribution.contributions.directCommits = extraCommits.length
-        repoContribution.repoInfo = await fetchRepoInfo(owner, repo)
+        repoContribution.repoInfo = await fetchRepoInfo(api, owner, repo)
       })()
     )
   }
@@ -352,12 +382,12 @@ async function enrichCommitContributions (activity, since, author) {
   return activity
 }
 
-async function fetchPRComments (owner, repo, prNumber) {
+async function fetchPRComments (api, owner, repo, prNumber) {
   let allComments = []
   let commentCursor = null
   let hasNextPage = true
   while (hasNextPage) {
-    const data = await fetchQuery(prCommentsGraphql, { owner, repo, prNumber, commentCursor })
+    const data = await fetchQuery(api, prCommentsGraphql, { owner, repo, prNumber, commentCursor })
     const comments = data.data?.repository?.pullRequest?.comments
     if (!comments) {
       break
@@ -369,12 +399,12 @@ async function fetchPRComments (owner, repo, prNumber) {
   return allComments
 }
 
-async function fetchPRReviewDetails (owner, repo, prNumber) {
+async function fetchPRReviewDetails (api, owner, repo, prNumber) {
   let allReviewDetails = []
   let reviewCursor = null
   let hasNextPage = true
   while (hasNextPage) {
-    const data = await fetchQuery(prReviewDetailsGraphql, { owner, repo, prNumber, reviewCursor })
+    const data = await fetchQuery(api, prReviewDetailsGraphql, { owner, repo, prNumber, reviewCursor })
     const reviews = data.data?.repository?.pullRequest?.reviews
     if (!reviews) {
       break
@@ -386,17 +416,17 @@ async function fetchPRReviewDetails (owner, repo, prNumber) {
   return allReviewDetails
 }
 
-async function fetchPRChangedFiles (owner, repo, prNumber) {
-  const data = await fetchQuery(prChangedFilesGraphql, { owner, repo, prNumber })
+async function fetchPRChangedFiles (api, owner, repo, prNumber) {
+  const data = await fetchQuery(api, prChangedFilesGraphql, { owner, repo, prNumber })
   return data.data?.repository?.pullRequest?.files?.nodes || []
 }
 
-async function fetchPRTimeline (owner, repo, prNumber) {
-  const data = await fetchQuery(prTimelineGraphql, { owner, repo, prNumber })
+async function fetchPRTimeline (api, owner, repo, prNumber) {
+  const data = await fetchQuery(api, prTimelineGraphql, { owner, repo, prNumber })
   return data.data?.repository?.pullRequest?.timelineItems?.nodes || []
 }
 
-async function enrichPullRequestData (activity, since) {
+export async function enrichPullRequestData (api, activity, since) {
   const queue = []
   for (const pr of activity.pullRequests) {
     const owner = pr.repository.nameWithOwner.split('/')[0]
@@ -404,10 +434,10 @@ async function enrichPullRequestData (activity, since) {
     queue.push(
       (async () => {
         const [comments, reviewDetails, changedFiles, timelineItems] = await Promise.all([
-          fetchPRComments(owner, repo, pr.number),
-          fetchPRReviewDetails(owner, repo, pr.number),
-          fetchPRChangedFiles(owner, repo, pr.number),
-          fetchPRTimeline(owner, repo, pr.number)
+          fetchPRComments(api, owner, repo, pr.number),
+          fetchPRReviewDetails(api, owner, repo, pr.number),
+          fetchPRChangedFiles(api, owner, repo, pr.number),
+          fetchPRTimeline(api, owner, repo, pr.number)
         ])
 
         pr.commentDetails = comments.filter((comment) => new Date(comment.createdAt) >= since)
@@ -433,11 +463,71 @@ async function enrichPullRequestData (activity, since) {
   return activity
 }
 
+// Leave out reviews of bots' PRs, and bots' comments and reviews on the user's PRs
+export function excludeBotActivity (activity, isBotActor) {
+  activity.reviews = activity.reviews.filter((review) => !isBotActor(review.pullRequest.author))
+  for (const pr of activity.pullRequests) {
+    if (pr.commentDetails) {
+      pr.commentDetails = pr.commentDetails.filter((comment) => !isBotActor(comment.author))
+    }
+    if (pr.reviewDetails) {
+      pr.reviewDetails = pr.reviewDetails.filter((review) => !isBotActor(review.author))
+    }
+  }
+  return activity
+}
+
+// Leave out PRs, issues and reviews of PRs whose labels don't pass a label filter
+export function filterActivityByLabel (activity, labelFilter) {
+  activity.pullRequests = activity.pullRequests.filter((pr) => labelFilter(labelNames(pr)))
+  activity.issues = activity.issues.filter((issue) => labelFilter(labelNames(issue)))
+  activity.reviews = activity.reviews.filter((review) => labelFilter(labelNames(review.pullRequest)))
+  return activity
+}
+
+// PRs, issues and reviews for each label, most used first and unlabelled activity last
+export function summarizeActivityByLabel (activity, login) {
+  const labelsOf = (item) => (labelNames(item).length ? labelNames(item) : [unlabelled])
+  const reviews = activity.reviews.filter((review) => review.pullRequest.author?.login !== login)
+  const labels = new Set(
+    [...activity.pullRequests, ...activity.issues, ...reviews.map((review) => review.pullRequest)].flatMap(
+      labelsOf
+    )
+  )
+  const hoursTo = (from, to) => (to ? convertToRoundedHours(new Date(to) - new Date(from)) : null)
+
+  return [...labels]
+    .map((label) => {
+      const pullRequests = activity.pullRequests
+        .filter((pr) => labelsOf(pr).includes(label))
+        .map((pr) => ({ mergeHours: hoursTo(pr.createdAt, pr.mergedAt) }))
+      const issues = activity.issues
+        .filter((issue) => labelsOf(issue).includes(label))
+        .map((issue) => ({ closeHours: hoursTo(issue.createdAt, issue.closedAt) }))
+      return {
+        label,
+        pullRequests: pullRequests.length,
+        merged: pullRequests.filter((pr) => pr.mergeHours !== null).length,
+        medianMergeHours: calculateStatistics(pullRequests, 'mergeHours').median,
+        issues: issues.length,
+        closed: issues.filter((issue) => issue.closeHours !== null).length,
+        medianCloseHours: calculateStatistics(issues, 'closeHours').median,
+        reviews: reviews.filter((review) => labelsOf(review.pullRequest).includes(label)).length
+      }
+    })
+    .sort(
+      (a, b) =>
+        (a.label === unlabelled) - (b.label === unlabelled) ||
+        b.pullRequests + b.issues + b.reviews - (a.pullRequests + a.issues + a.reviews) ||
+        a.label.localeCompare(b.label)
+    )
+}
+
 function shorten (str, maxLength) {
   return str.length > maxLength ? str.slice(0, maxLength) + '…' : str
 }
 
-function printActivity (activity, since, format = 'console', enrich = false) {
+function printActivity (activity, login, since, format = 'console', enrich = false) {
   const shortenChars = format === 'console' ? 50 : Infinity
   const { pullRequests, reviews, issues, commitsByRepo } = activity
 
@@ -489,6 +579,7 @@ function printActivity (activity, since, format = 'console', enrich = false) {
     Merged: pr.mergedAt ? new Date(pr.mergedAt).toLocaleDateString() : '-',
     'Comments/Reviews': `${pr.comments.totalCount}/${pr.reviews.totalCount}`,
     Changes: `+${pr.additions}/-${pr.deletions}`,
+    Labels: labelNames(pr).join(', '),
     PR: `https://github.com/${pr.repository.nameWithOwner}/pull/${pr.number}`
   }))
 
@@ -550,7 +641,7 @@ function printActivity (activity, since, format = 'console', enrich = false) {
     })
   } else {
     table(
-      ['Created', 'State', 'Title', 'Merged', 'Comments/Reviews', 'Changes'].concat(
+      ['Created', 'State', 'Title', 'Merged', 'Comments/Reviews', 'Changes', 'Labels'].concat(
         format === 'html' ? [] : ['PR']
       ),
       prSummary
@@ -559,7 +650,7 @@ function printActivity (activity, since, format = 'console', enrich = false) {
 
   heading('Issues')
   table(
-    ['Created', 'Title', 'Closed', 'Comments'].concat(format === 'html' ? [] : ['Issue']),
+    ['Created', 'Title', 'Closed', 'Comments', 'Labels'].concat(format === 'html' ? [] : ['Issue']),
     issues.map((issue) => ({
       Title: `${
         format === 'html'
@@ -569,6 +660,7 @@ function printActivity (activity, since, format = 'console', enrich = false) {
       Created: new Date(issue.createdAt).toLocaleDateString(),
       Closed: issue.closedAt ? new Date(issue.closedAt).toLocaleDateString() : '-',
       Comments: issue.comments.totalCount,
+      Labels: labelNames(issue).join(', '),
       Issue: `https://github.com/${issue.repository.nameWithOwner}/issues/${issue.number}`
     }))
   )
@@ -577,7 +669,7 @@ function printActivity (activity, since, format = 'console', enrich = false) {
   table(
     ['Date', 'State', 'Title', 'Author', 'Comments'].concat(format === 'html' ? [] : ['PR']),
     reviews
-      .filter((review) => review.pullRequest.author.login !== process.argv[2])
+      .filter((review) => review.pullRequest.author.login !== login)
       .map((review) => ({
         Date: new Date(review.createdAt).toLocaleDateString(),
         State: review.state,
@@ -592,6 +684,21 @@ function printActivity (activity, since, format = 'console', enrich = false) {
       }))
   )
 
+  heading('Labels')
+  table(
+    ['Label', 'PRs', 'Merged', 'Median merge (h)', 'Issues', 'Closed', 'Median close (h)', 'Reviews'],
+    summarizeActivityByLabel(activity, login).map((summary) => ({
+      Label: summary.label,
+      PRs: summary.pullRequests,
+      Merged: summary.merged,
+      'Median merge (h)': summary.medianMergeHours ?? '-',
+      Issues: summary.issues,
+      Closed: summary.closed,
+      'Median close (h)': summary.medianCloseHours ?? '-',
+      Reviews: summary.reviews
+    }))
+  )
+
   heading('Commits by Repository')
   if (format === 'plain' && enrich) {
     commitsByRepo.forEach(({ repository, contributions, repoInfo }) => {
@@ -627,98 +734,81 @@ function printActivity (activity, since, format = 'console', enrich = false) {
   }
 }
 
-function parseArgs (args) {
-  const parsedArgs = {
-    login: null,
-    since: null,
-    outputs: [],
-    enrich: false
-  }
-
-  // Extract username and date
-  for (let i = 0; i < args.length; i++) {
-    const arg = args[i]
-    if (arg === '--enrich') {
-      parsedArgs.enrich = true
-    } else if (arg === '--format' || arg === '--output') {
-      // Skip these for now, we'll handle them separately
-      i++
-    } else if (!arg.startsWith('--') && !parsedArgs.login) {
-      parsedArgs.login = arg
-    } else if (!arg.startsWith('--') && !parsedArgs.dateStr) {
-      if (!/^\d{4}-\d{2}-\d{2}$/.test(arg)) {
-        throw new Error('Date must be in YYYY-MM-DD format')
-      }
-      parsedArgs.since = new Date(arg)
-      if (isNaN(parsedArgs.since.getTime())) {
-        console.error('Invalid date provided')
-        process.exit(1)
-      }
-    } else {
-      throw new Error(`Invalid argument: ${arg}`)
-    }
-  }
-
-  // Handle output formats - support both legacy --format and new --output
-  const outputIdx = args.indexOf('--output')
-  const formatIdx = args.indexOf('--format')
-
-  if (outputIdx !== -1 && outputIdx + 1 < args.length) {
-    // Parse the new --output format with destinations
-    const outputSpecs = args[outputIdx + 1].split(',')
-
-    for (const spec of outputSpecs) {
-      const parts = spec.split(':')
-      const format = parts[0]
-      const destination = parts.length > 1 ? parts[1] : 'stdout'
-
-      if (!['html', 'console', 'plain', 'json'].includes(format)) {
-        throw new Error(`Invalid output format: ${format}`)
-      }
+const outputFormats = ['console', 'html', 'plain', 'json']
 
-      parsedArgs.outputs.push({ format, destination })
-    }
-  } else if (formatIdx !== -1 && formatIdx + 1 < args.length) {
-    // Support legacy --format option (outputs to stdout)
-    const format = args[formatIdx + 1]
-    if (!['html', 'console', 'plain', 'json'].includes(format)) {
-      throw new Error('Invalid format provided')
-    }
-    parsedArgs.outputs.push({ format, destination: 'stdout' })
-  } else {
-    // Default to console to stdout
-    parsedArgs.outputs.push({ format: 'console', destination: 'stdout' })
-  }
+function parseArgs (args) {
+  const { options, positionals, cacheOptions } = parseOptions(args, {
+    valueOptions: ['--output', '--format', '--bots'],
+    repeatable: ['--label', '--exclude-label'],
+    flags: ['--enrich', '--include-bots']
+  })
 
   // Validate required arguments
-  if (!parsedArgs.login || !parsedArgs.since) {
+  if (positionals.length !== 2) {
     throw new Error(
-      `Usage: node activity.js <github-username> <YYYY-MM-DD> [options]
+      `Usage: repo-health user <github-username> <date> [options]
 
 Options:
   --enrich                   Fetch additional data for richer output
   --output <format:dest>     Specify output format and destination
                              Multiple outputs can be comma-separated
-                             
+
+${labelUsage}
+
+${botUsage}
+
+${cacheUsage}
+
 Formats:
   - console[:filename]       Console format (default if no format specified)
   - html[:filename]          HTML format
   - plain[:filename]         Plain text format
   - json[:filename]          JSON format (best for LLM processing)
 
+Dates:
+  - YYYY-MM-DD               An absolute date
+  - <n>d, <n>w, <n>m         Days, weeks or months before now
+
 Examples:
-  node activity.js octocat 2023-01-01
-  node activity.js octocat 2023-01-01 --enrich
-  node activity.js octocat 2023-01-01 --output html:report.html
-  node activity.js octocat 2023-01-01 --output "html:report.html,plain:details.txt,json:data.json" --enrich`
+  repo-health user octocat 2023-01-01
+  repo-health user octocat 30d
+  repo-health user octocat 2023-01-01 --enrich
+  repo-health user octocat 2023-01-01 --output html:report.html
+  repo-health user octocat 2023-01-01 --output "html:report.html,plain:details.txt,json:data.json" --enrich`
     )
   }
+  const [login, date] = positionals
+
+  // Handle output formats - support both legacy --format and --output
+  let outputs
+  if (options.output) {
+    outputs = parseOutputs(options.output, outputFormats)
+  } else if (options.format) {
+    // Legacy --format option, outputs to stdout
+    outputs = parseOutputs(options.format, outputFormats).map(({ format }) => ({
+      format,
+      destination: 'stdout'
+    }))
+  } else {
+    outputs = [{ format: 'console', destination: 'stdout' }]
+  }
 
-  return parsedArgs
+  return {
+    login,
+    since: startOfDay(parseDate(date, 'date')),
+    outputs,
+    enrich: !!options.enrich,
+    labels: {
+      include: parseLabelList(options.label),
+      exclude: parseLabelList(options.excludeLabel)
+    },
+    bots: { ignore: parseBotList(options.bots), include: !!options.includeBots },
+    cacheOptions
+  }
 }
 
 // Helper function for JSON output
-function generateJsonOutput (activity, login, since) {
+export function generateJsonOutput (activity, login, since) {
   const { pullRequests, reviews, issues, commitsByRepo } = activity
 
   return {
@@ -750,6 +840,7 @@ function generateJsonOutput (activity, login, since) {
       deletions: pr.deletions,
       commentCount: pr.comments.totalCount,
       reviewCount: pr.reviews.totalCount,
+      labels: labelNames(pr),
       body: pr.body,
       // Include enriched data if available
       commentDetails: pr.commentDetails,
@@ -757,39 +848,35 @@ function generateJsonOutput (activity, login, since) {
       changedFiles: pr.changedFiles,
       timelineItems: pr.timelineItems
     })),
+    labels: summarizeActivityByLabel(activity, login),
     issues,
     reviews,
     commitsByRepo
   }
 }
 
-async function main () {
-  const args = parseArgs(process.argv.slice(2))
-  const { login, since, outputs, enrich } = args
+// Run the user command with its command-line arguments
+export async function userCommand (args, { github }) {
+  const { login, since, outputs, enrich, labels, bots, cacheOptions } = parseArgs(args)
+  const api = { github, cache: createCache(cacheOptions) }
 
-  const activity = await fetchUserActivity(login, since)
+  const activity = await fetchUserActivity(api, login, since)
+  filterActivityByLabel(activity, createLabelFilter(labels))
 
   if (enrich) {
     await Promise.all([
-      enrichCommitContributions(activity, since, login),
-      enrichPullRequestData(activity, since)
+      enrichCommitContributions(api, activity, since, login),
+      enrichPullRequestData(api, activity, since)
     ])
   }
+  if (!bots.include) {
+    excludeBotActivity(activity, createBotDetector(bots.ignore))
+  }
 
-  for (const { format, destination } of outputs) {
-    let outputStream
-
-    if (destination === 'stdout') {
-      outputStream = process.stdout
-    } else {
-      outputStream = createWriteStream(destination)
-      console.error(`Writing ${format} output to ${destination}...`)
-    }
-
-    // Print to the selected output stream
-    const originalConsoleLog = console.log
-    console.log = (...args) => {
-      outputStream.write(args.join(' ') + '\n')
+  writeOutputs(outputs, (format) => {
+    // JSON is a document of its own, without a header
+    if (format === 'json') {
+      return JSON.stringify(generateJsonOutput(activity, login, since), null, 2) + '\n'
     }
 
     // Generate header
@@ -800,25 +887,6 @@ async function main () {
         format === 'html' ? '</h2>' : ''
       }`
     )
-
-    // Special case for JSON format
-    if (format === 'json') {
-      console.log(JSON.stringify(generateJsonOutput(activity, login, since), null, 2))
-    } else {
-      printActivity(activity, since, format, enrich)
-    }
-
-    // Restore console.log
-    console.log = originalConsoleLog
-
-    // Close file streams if not stdout
-    if (destination !== 'stdout') {
-      outputStream.end()
-    }
-  }
+    printActivity(activity, login, since, format, enrich)
+  })
 }
-
-main().catch((error) => {
-  console.log(error)
-  process.exit(1)
-})